@@ -0,0 +1,47 @@
+// scripts/build-input-schema.js - Syncs INPUT_SCHEMA.json enums with the town registry
+// and the maxEvents default/limit with src/utils/event-quotas.js
+//
+// Usage:
+//   node scripts/build-input-schema.js          rewrite INPUT_SCHEMA.json in place
+//   node scripts/build-input-schema.js --check  exit 1 if INPUT_SCHEMA.json is out of date
+import { readFile, writeFile } from 'fs/promises';
+import { dirname, join } from 'path';
+import { fileURLToPath } from 'url';
+import { discoverTowns, listSourceKeys } from '../src/towns/registry.js';
+import { DEFAULT_MAX_EVENTS, MAX_EVENTS_LIMIT } from '../src/utils/event-quotas.js';
+
+const SCHEMA_PATH = join(dirname(fileURLToPath(import.meta.url)), '..', 'INPUT_SCHEMA.json');
+
+// Array properties whose items are source keys ("west-islip/library")
+const SOURCE_LIST_PROPERTIES = ['sources', 'excludeSources'];
+
+const checkOnly = process.argv.includes('--check');
+
+const towns = await discoverTowns();
+const original = await readFile(SCHEMA_PATH, 'utf8');
+const schema = JSON.parse(original);
+
+schema.properties.towns.items.enum = towns.map(town => town.name);
+
+SOURCE_LIST_PROPERTIES.forEach(property => {
+  const definition = schema.properties[property];
+  if (!definition) return;
+  
+  definition.items.enum = listSourceKeys(towns);
+  definition.items.enumTitles = towns.flatMap(town => town.sources.map(source => `${town.name} - ${source.name}`));
+});
+
+schema.properties.maxEvents.default = DEFAULT_MAX_EVENTS;
+schema.properties.maxEvents.maximum = MAX_EVENTS_LIMIT;
+
+const updated = `${JSON.stringify(schema, null, 2)}\n`;
+
+if (updated === original) {
+  console.log('✅ INPUT_SCHEMA.json is in sync with the town registry');
+} else if (checkOnly) {
+  console.error('❌ INPUT_SCHEMA.json is out of date - run `npm run build:schema`');
+  process.exit(1);
+} else {
+  await writeFile(SCHEMA_PATH, updated);
+  console.log(`📝 Updated INPUT_SCHEMA.json (${towns.length} towns)`);
+}
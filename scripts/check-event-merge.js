@@ -0,0 +1,56 @@
+// scripts/check-event-merge.js - Regression checks for cross-source merging
+//
+// Usage:
+//   node scripts/check-event-merge.js   exit 1 if any case merges differently than expected
+import { mergeTownEvents } from '../src/utils/event-merge.js';
+
+const library = {
+  source_id: 'west-islip/library',
+  source: 'West Islip Public Library',
+  location_raw: 'West Islip Public Library',
+  date_confidence: 'high',
+  all_day: false
+};
+const chamber = {
+  source_id: 'west-islip/chamber',
+  source: 'West Islip Chamber of Commerce',
+  location_raw: 'West Islip Public Library',
+  date_confidence: 'high',
+  all_day: true
+};
+
+const sessions = [
+  { ...library, event_id: 'library-1000', title_raw: 'Family Storytime', start: '2025-10-04T10:00:00-04:00' },
+  { ...library, event_id: 'library-1130', title_raw: 'Family Storytime', start: '2025-10-04T11:30:00-04:00' }
+];
+const allDayListing = { ...chamber, event_id: 'chamber-day', title_raw: 'Family Storytime at the Library', start: '2025-10-04T00:00:00-04:00' };
+
+// The Chamber's all-day listing matches both library sessions; only one of them may join it
+const cases = [
+  {
+    name: 'two sessions of one source stay apart when a listing read before them matches both',
+    events: [allDayListing, ...sessions],
+    expectedStarts: ['2025-10-04T10:00:00-04:00', '2025-10-04T11:30:00-04:00']
+  },
+  {
+    name: 'two sessions of one source stay apart when a listing read after them matches both',
+    events: [...sessions, allDayListing],
+    expectedStarts: ['2025-10-04T10:00:00-04:00', '2025-10-04T11:30:00-04:00']
+  }
+];
+
+let failures = 0;
+
+cases.forEach(({ name, events, expectedStarts }) => {
+  const { events: merged } = mergeTownEvents(events, { townName: 'West Islip' });
+  const starts = merged.map(event => event.start).sort();
+
+  if (JSON.stringify(starts) === JSON.stringify(expectedStarts)) {
+    console.log(`✅ ${name}`);
+  } else {
+    failures++;
+    console.error(`❌ ${name}: expected ${expectedStarts.join(', ')}, got ${starts.join(', ')}`);
+  }
+});
+
+if (failures > 0) process.exit(1);
@@ -0,0 +1,152 @@
+#!/usr/bin/env node
+// src/cli.js - Run one town or one source locally, without Apify storage or Airtable
+//
+// Usage:
+//   node src/cli.js --town west-islip [--source library] [options]
+//
+// Options:
+//   --town <slug|name>     town to scrape (required)
+//   --source <id>          only this source (repeatable)
+//   --since <YYYY-MM-DD>   drop events before this date
+//   --until <YYYY-MM-DD>   drop events after this date
+//   --days <n>             look-ahead window for date-range sources (default: 60)
+//   --format <json|table>  output format (default: json)
+//   --recurring <mode>     series (default) or occurrences
+//   --enrich               visit event detail pages for sources that support it
+//   --replay <dir>         serve pages from a fixture folder instead of the network
+//   --headful              show the browser window
+//   --verbose              show scraper progress logs
+import { parseArgs } from 'util';
+import { log } from 'apify';
+import { discoverTowns, findTown } from './towns/registry.js';
+import { scrapeTown } from './towns/coordinator.js';
+import { launchBrowser, preparePage } from './utils/browser.js';
+import { createPagePool } from './utils/page-pool.js';
+import { createDomainThrottle } from './utils/domain-throttle.js';
+import { loadReplayFixtures } from './utils/replay.js';
+import { compareEventStart, eventLocalDate } from './utils/normalize.js';
+import { detectRecurringEvents, RECURRENCE_MODES } from './utils/recurrence.js';
+import { createDetailCache, DEFAULT_MAX_DETAIL_PAGES } from './utils/enrichment.js';
+
+const OUTPUT_FORMATS = ['json', 'table'];
+
+const { values: args } = parseArgs({
+  options: {
+    town: { type: 'string' },
+    source: { type: 'string', multiple: true, default: [] },
+    since: { type: 'string' },
+    until: { type: 'string' },
+    days: { type: 'string', default: '60' },
+    format: { type: 'string', default: 'json' },
+    recurring: { type: 'string', default: 'series' },
+    replay: { type: 'string' },
+    enrich: { type: 'boolean', default: false },
+    headful: { type: 'boolean', default: false },
+    verbose: { type: 'boolean', default: false },
+    help: { type: 'boolean', default: false }
+  }
+});
+
+if (args.help || !args.town) {
+  console.error('Usage: node src/cli.js --town <slug> [--source <id>] [--since YYYY-MM-DD] [--until YYYY-MM-DD] [--days <n>] [--format json|table] [--recurring series|occurrences] [--enrich] [--replay <dir>] [--headful] [--verbose]');
+  process.exit(args.help ? 0 : 1);
+}
+
+// Keep stdout clean for the JSON output unless progress logs were asked for
+if (!args.verbose) {
+  log.setLevel(log.LEVELS.WARNING);
+}
+
+const towns = await discoverTowns();
+const town = findTown(towns, args.town);
+
+if (!town) {
+  console.error(`Unknown town "${args.town}". Available: ${towns.map(t => t.slug).join(', ')}`);
+  process.exit(1);
+}
+
+const unknownSources = args.source.filter(id => !town.sources.some(source => source.id === id));
+if (unknownSources.length > 0) {
+  console.error(`Unknown source(s) for ${town.name}: ${unknownSources.join(', ')}. Available: ${town.sources.map(s => s.id).join(', ')}`);
+  process.exit(1);
+}
+
+if (!OUTPUT_FORMATS.includes(args.format)) {
+  console.error(`--format must be one of: ${OUTPUT_FORMATS.join(', ')}`);
+  process.exit(1);
+}
+
+if (!RECURRENCE_MODES.includes(args.recurring)) {
+  console.error(`--recurring must be one of: ${RECURRENCE_MODES.join(', ')}`);
+  process.exit(1);
+}
+
+const lookAheadDays = Number(args.days);
+if (!Number.isInteger(lookAheadDays) || lookAheadDays < 1 || lookAheadDays > 365) {
+  console.error('--days must be a whole number from 1 to 365');
+  process.exit(1);
+}
+
+const since = parseDateArg(args.since, 'since');
+const until = parseDateArg(args.until, 'until');
+
+const replay = args.replay ? await loadReplayFixtures({ dir: args.replay }) : null;
+const browser = await launchBrowser({ headless: !args.headful });
+
+try {
+  const pool = createPagePool(browser, {
+    size: 3,
+    setupPage: page => preparePage(page, { blockResources: !args.headful, replay })
+  });
+  
+  const { events, sourceResults } = await scrapeTown(town, {
+    pool,
+    throttle: createDomainThrottle({ delayMs: replay ? 0 : 3000 }),
+    selection: { sources: args.source },
+    enrichment: args.enrich
+      ? { cache: await createDetailCache({ storeName: null }), maxPages: DEFAULT_MAX_DETAIL_PAGES }
+      : null,
+    lookAheadDays
+  });
+  await pool.close();
+  
+  // Dates compare as "YYYY-MM-DD" strings in the town's timezone; undated events
+  // are only kept when no date filter was given
+  const inRange = events.filter(event => {
+    const date = eventLocalDate(event);
+    if (!since && !until) return true;
+    return date && (!since || date >= since) && (!until || date <= until);
+  });
+  const selected = detectRecurringEvents(inRange, { mode: args.recurring }).events.sort(compareEventStart);
+  
+  if (args.format === 'table') {
+    console.table(selected.map(event => ({
+      date: event.start ? `${event.start.substring(0, 10)}${event.all_day ? '' : ` ${event.start.substring(11, 16)}`}` : 'TBD',
+      title: event.title_raw.substring(0, 60),
+      repeats: event.recurrence || '',
+      source: event.source_id,
+      location: (event.location_raw || '').substring(0, 40)
+    })));
+    Object.entries(sourceResults).forEach(([key, result]) => {
+      console.error(`${key}: ${result.status}${result.error ? ` (${result.error})` : ''} - ${result.count ?? 0} events`);
+    });
+  } else {
+    console.log(JSON.stringify(selected, null, 2));
+  }
+  
+  const failed = Object.values(sourceResults).some(result => result.status === 'failed' || result.status === 'timed_out');
+  process.exitCode = failed ? 2 : 0;
+  
+} finally {
+  await browser.close();
+}
+
+function parseDateArg(value, name) {
+  if (!value) return null;
+  
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    console.error(`--${name} must be a date in YYYY-MM-DD format`);
+    process.exit(1);
+  }
+  return value;
+}
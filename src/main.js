@@ -1,18 +1,42 @@
 // src/main.js - Complete Local Loop Event Scraper (All Working)
 import { Actor, log } from 'apify';
-import puppeteer from 'puppeteer';
-import { scrapeWestIslip } from './towns/west-islip/index.js';
+import { discoverTowns, findTown, listSourceKeys } from './towns/registry.js';
+import { scrapeTown } from './towns/coordinator.js';
 import { sendToAirtable, verifyAirtableSetup } from './utils/airtable.js';
-import { parseEventDate } from './utils/date-parser.js';
+import { compareEventStart, isUpcoming } from './utils/normalize.js';
+import { launchBrowser, preparePage } from './utils/browser.js';
+import { createPagePool } from './utils/page-pool.js';
+import { createDomainThrottle } from './utils/domain-throttle.js';
+import { loadReplayFixtures } from './utils/replay.js';
+import { createSnapshotRecorder, SNAPSHOT_MODES } from './utils/snapshots.js';
+import { applyEventQuotas, DEFAULT_MAX_EVENTS, MAX_EVENTS_LIMIT, resolveSourceCaps } from './utils/event-quotas.js';
+import { detectRecurringEvents, RECURRENCE_MODES } from './utils/recurrence.js';
+import { DEFAULT_INDEX_STORE, diffAgainstIndex, loadEventIndex, saveEventIndex } from './utils/change-tracking.js';
+import { summarizeUnresolvedLocations } from './utils/venues.js';
+import { createDetailCache, DEFAULT_DETAIL_CACHE_STORE, DEFAULT_MAX_DETAIL_PAGES } from './utils/enrichment.js';
 
 await Actor.main(async () => {
   const input = await Actor.getInput() ?? {};
   
   const config = {
     debug: input.debug || false,
-    maxEvents: Math.min(input.maxEvents || 400, 2000),
+    maxEvents: Math.min(input.maxEvents || DEFAULT_MAX_EVENTS, MAX_EVENTS_LIMIT),
     towns: input.towns || ['West Islip'],
-    futureOnly: input.futureOnly !== false
+    sources: input.sources || [],
+    excludeSources: input.excludeSources || [],
+    maxEventsPerSource: input.maxEventsPerSource || {},
+    maxConcurrency: Math.max(1, Math.min(input.maxConcurrency || 3, 8)),
+    domainDelaySecs: input.domainDelaySecs ?? 3,
+    sourceRetries: Math.max(0, Math.min(input.sourceRetries ?? 2, 5)),
+    sourceTimeoutSecs: input.sourceTimeoutSecs || 180,
+    replay: input.replay || null,
+    snapshots: SNAPSHOT_MODES.includes(input.snapshots) ? input.snapshots : 'failures',
+    futureOnly: input.futureOnly !== false,
+    lookAheadDays: Math.max(1, Math.min(input.lookAheadDays || 60, 365)),
+    enrichDetails: input.enrichDetails || false,
+    detailCacheHours: input.detailCacheHours ?? 24,
+    recurringEvents: RECURRENCE_MODES.includes(input.recurringEvents) ? input.recurringEvents : 'series',
+    eventIndexStore: input.eventIndexStore || DEFAULT_INDEX_STORE
   };
   
   const hasAirtableToken = !!process.env.AIRTABLE_TOKEN;
@@ -20,11 +44,14 @@ await Actor.main(async () => {
   
   log.info('🚀 Starting Local Loop Event Scraper (Complete)');
   log.info(`🛠 Debug: ${config.debug}, Max events: ${config.maxEvents}`);
+  log.info(`⚡ Concurrency: ${config.maxConcurrency} pages, ${config.domainDelaySecs}s between requests to the same domain`);
   log.info(`📋 Airtable: ${hasAirtableToken && hasAirtableBase ? 'ENABLED' : 'DISABLED'}`);
   
   // Verify Airtable setup (but don't fail if it's not working)
   let airtableReady = false;
-  if (hasAirtableToken && hasAirtableBase) {
+  if (config.replay) {
+    log.info('📼 Replay mode - Airtable sync disabled so offline data never overwrites live records');
+  } else if (hasAirtableToken && hasAirtableBase) {
     try {
       airtableReady = await verifyAirtableSetup(process.env.AIRTABLE_TOKEN, process.env.AIRTABLE_BASE_ID);
     } catch (airtableError) {
@@ -37,94 +64,135 @@ await Actor.main(async () => {
   try {
     log.info('🌐 Launching browser...');
     
-    browser = await puppeteer.launch({
-      headless: !config.debug,
-      args: [
-        '--no-sandbox',
-        '--disable-setuid-sandbox',
-        '--disable-dev-shm-usage',
-        '--disable-extensions',
-        '--disable-gpu',
-        '--no-first-run'
-      ]
-    });
+    // Replay mode serves every source page from saved snapshots instead of the network
+    const replay = config.replay ? await loadReplayFixtures(config.replay) : null;
+    if (replay) {
+      log.info('📼 Replay mode: no live requests will be made');
+    }
     
-    const page = await browser.newPage();
-    await page.setUserAgent('Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36');
+    browser = await launchBrowser({ headless: !config.debug });
     
-    // Enable resource blocking for faster performance
-    if (!config.debug) {
-      await page.setRequestInterception(true);
-      page.on('request', (req) => {
-        const resourceType = req.resourceType();
-        if(['image', 'stylesheet', 'font', 'media'].includes(resourceType)) {
-          req.abort();
-        } else {
-          req.continue();
-        }
-      });
-    }
+    const pool = createPagePool(browser, {
+      size: config.maxConcurrency,
+      setupPage: page => preparePage(page, { blockResources: !config.debug, replay })
+    });
+    const throttle = createDomainThrottle({ delayMs: replay ? 0 : config.domainDelaySecs * 1000 });
+    // Replays never read or fill the shared cache, so they stay offline and repeatable
+    const enrichment = config.enrichDetails
+      ? {
+        cache: await createDetailCache({
+          storeName: replay ? null : DEFAULT_DETAIL_CACHE_STORE,
+          maxAgeHours: config.detailCacheHours
+        }),
+        maxPages: DEFAULT_MAX_DETAIL_PAGES
+      }
+      : null;
+    const snapshots = config.snapshots === 'off'
+      ? null
+      : createSnapshotRecorder({ mode: config.snapshots, runId: Actor.getEnv().actorRunId });
     
     let allEvents = [];
     const scrapingResults = {};
     
-    // Configure towns
-    const towns = [
-      {
-        name: 'West Islip',
-        scraper: scrapeWestIslip,
-        enabled: config.towns.includes('West Islip')
+    // Resolve requested towns against the discovered registry
+    const registeredTowns = await discoverTowns();
+    log.info(`🗺️ Registered towns: ${registeredTowns.map(t => t.name).join(', ')}`);
+    
+    const enabledTowns = [];
+    config.towns.forEach(requested => {
+      const town = findTown(registeredTowns, requested);
+      if (!town) {
+        log.warning(`⚠️ Unknown town "${requested}" - skipping`);
+      } else if (!enabledTowns.includes(town)) {
+        enabledTowns.push(town);
       }
-    ];
+    });
+    
+    // Warn about source ids that don't exist in any town
+    const knownSourceKeys = listSourceKeys(registeredTowns);
+    const knownSourceIds = registeredTowns.flatMap(t => t.sources.map(s => s.id));
+    [...config.sources, ...config.excludeSources].forEach(entry => {
+      if (!knownSourceKeys.includes(entry) && !knownSourceIds.includes(entry)) {
+        log.warning(`⚠️ Unknown source "${entry}" in source selection`);
+      }
+    });
+    
+    config.sourceCaps = resolveSourceCaps(config.maxEventsPerSource, enabledTowns);
     
-    const enabledTowns = towns.filter(t => t.enabled);
     log.info(`📍 Scraping ${enabledTowns.length} enabled towns`);
     
-    // Scrape each town
-    for (const [index, town] of enabledTowns.entries()) {
+    // Scrape towns concurrently - the shared page pool bounds how many pages are open
+    const townOutcomes = await Promise.all(enabledTowns.map(async town => {
       const townStartTime = Date.now();
       
       try {
-        log.info(`🏘️ Scraping ${town.name} (${index + 1}/${enabledTowns.length})`);
+        log.info(`🏘️ Scraping ${town.name}`);
         
-        const townEvents = await town.scraper(page);
+        const { events: townEvents, sourceResults, merges } = await scrapeTown(town, {
+          pool,
+          throttle,
+          selection: {
+            sources: config.sources,
+            excludeSources: config.excludeSources
+          },
+          retryPolicy: {
+            retries: config.sourceRetries,
+            timeBudgetMs: config.sourceTimeoutSecs * 1000
+          },
+          snapshots,
+          enrichment,
+          lookAheadDays: config.lookAheadDays
+        });
         
         if (!Array.isArray(townEvents)) {
           throw new Error(`Invalid data type: ${typeof townEvents}`);
         }
         
-        allEvents = allEvents.concat(townEvents);
-        
         const scrapingTime = Math.round((Date.now() - townStartTime) / 1000);
         
-        scrapingResults[town.name] = { 
-          success: true, 
-          count: townEvents.length,
-          scrapingTimeSeconds: scrapingTime,
-          sources: getTownSourceBreakdown(townEvents)
-        };
-        
         log.info(`✅ ${town.name}: ${townEvents.length} events in ${scrapingTime}s`);
         
-        // Brief delay between towns
-        if (index < enabledTowns.length - 1) {
-          await new Promise(resolve => setTimeout(resolve, 2000));
-        }
+        return {
+          town,
+          events: townEvents,
+          result: {
+            success: true,
+            count: townEvents.length,
+            scrapingTimeSeconds: scrapingTime,
+            sources: getTownSourceBreakdown(townEvents),
+            source_results: sourceResults,
+            merges
+          }
+        };
         
       } catch (townError) {
         const scrapingTime = Math.round((Date.now() - townStartTime) / 1000);
         log.error(`❌ Error scraping ${town.name}: ${townError.message}`);
         
-        scrapingResults[town.name] = { 
-          success: false, 
-          error: townError.message,
-          scrapingTimeSeconds: scrapingTime
+        return {
+          town,
+          events: [],
+          result: {
+            success: false,
+            error: townError.message,
+            scrapingTimeSeconds: scrapingTime
+          }
         };
       }
-    }
+    }));
+    
+    // Merge in registry order so output is stable regardless of finishing order
+    townOutcomes.forEach(({ town, events, result }) => {
+      allEvents = allEvents.concat(events);
+      scrapingResults[town.name] = result;
+    });
+    
+    await pool.close();
+    
+    const snapshotIndexKey = snapshots ? await snapshots.writeIndex() : null;
     
     // Process results
-    await processResults(allEvents, scrapingResults, airtableReady, config);
+    await processResults(allEvents, scrapingResults, airtableReady, config, { snapshotIndexKey });
     
   } catch (error) {
     log.error('💥 Critical error:', error.message);
@@ -149,7 +217,77 @@ function getTownSourceBreakdown(events) {
   }, {});
 }
 
-async function processResults(allEvents, scrapingResults, airtableReady, config) {
+// Split per-source outcomes into "skipped by configuration", "failed" (including
+// timed out) and "empty" (ran fine but found no events)
+function collectSourceOutcomes(scrapingResults) {
+  const skippedSources = [];
+  const failedSources = [];
+  const emptySources = [];
+  
+  Object.values(scrapingResults).forEach(result => {
+    Object.entries(result.source_results || {}).forEach(([key, sourceResult]) => {
+      if (sourceResult.status === 'skipped') {
+        skippedSources.push({ source: key, reason: sourceResult.reason });
+      } else if (sourceResult.status === 'failed' || sourceResult.status === 'timed_out') {
+        failedSources.push({
+          source: key,
+          status: sourceResult.status,
+          error: sourceResult.error,
+          attempts: sourceResult.attempts
+        });
+      } else if (sourceResult.status === 'empty') {
+        emptySources.push({ source: key });
+      }
+    });
+  });
+  
+  return { skippedSources, failedSources, emptySources };
+}
+
+// Sources that ran and reported (even zero events) - only these can show an event disappeared
+function collectCoveredSources(scrapingResults) {
+  return new Set(Object.values(scrapingResults).flatMap(result =>
+    Object.entries(result.source_results || {})
+      .filter(([, sourceResult]) => sourceResult.status === 'ok' || sourceResult.status === 'empty')
+      .map(([key]) => key)
+  ));
+}
+
+// Every cross-source merge, tagged with its town
+function collectMerges(scrapingResults) {
+  return Object.entries(scrapingResults).flatMap(([town, result]) =>
+    (result.merges || []).map(merge => ({ town, ...merge }))
+  );
+}
+
+// One entry per source (including skipped and zero-event ones) - the first
+// place to look when the newsletter looks thin
+function buildSourceReport(scrapingResults) {
+  return Object.entries(scrapingResults).flatMap(([town, result]) =>
+    Object.entries(result.source_results || {}).map(([key, sourceResult]) => ({
+      town,
+      source: key,
+      name: sourceResult.name,
+      url: sourceResult.url,
+      status: sourceResult.status,
+      reason: sourceResult.reason,
+      error: sourceResult.error,
+      attempts: sourceResult.attempts,
+      duration_ms: sourceResult.duration_ms,
+      readiness_ms: sourceResult.readiness_ms,
+      raw_count: sourceResult.raw_count ?? 0,
+      after_past_filter_count: sourceResult.after_past_filter_count ?? 0,
+      duplicates_removed: sourceResult.duplicates_removed ?? 0,
+      unparsed_dates: sourceResult.unparsed_dates ?? 0,
+      unresolved_venues: sourceResult.unresolved_venues ?? 0,
+      enrichment: sourceResult.enrichment || null,
+      final_count: sourceResult.count ?? 0,
+      extraction_methods: sourceResult.extraction_methods || {}
+    }))
+  );
+}
+
+async function processResults(allEvents, scrapingResults, airtableReady, config, { snapshotIndexKey = null } = {}) {
   log.info(`\n📊 SCRAPING SUMMARY`);
   log.info(`📈 Total events found: ${allEvents.length}`);
   
@@ -163,14 +301,30 @@ async function processResults(allEvents, scrapingResults, airtableReady, config)
           log.info(`    📍 ${source}: ${count} events`);
         });
       }
+      Object.entries(result.source_results || {}).forEach(([key, sourceResult]) => {
+        if (sourceResult.status === 'skipped') {
+          log.info(`    ⏭️ ${key}: skipped (${sourceResult.reason})`);
+        } else if (sourceResult.status === 'failed' || sourceResult.status === 'timed_out') {
+          log.info(`    ❌ ${key}: ${sourceResult.status} after ${sourceResult.attempts} attempt(s) (${sourceResult.error})`);
+        } else if (sourceResult.status === 'empty') {
+          log.info(`    📭 ${key}: no events`);
+        }
+        if (sourceResult.readiness_ms) {
+          log.info(`    ⏱️ ${key}: page readiness waits took ${sourceResult.readiness_ms}ms`);
+        }
+      });
     } else {
       log.info(`${status} ${town}: ${result.error}`);
     }
   });
   
+  const { skippedSources, failedSources, emptySources } = collectSourceOutcomes(scrapingResults);
+  const sourceReport = buildSourceReport(scrapingResults);
+  
+  // An empty run still goes through the reporting below, so LATEST_SCRAPE, CHANGES
+  // and the event index always describe the latest run
   if (allEvents.length === 0) {
     log.warning('⚠️ No events found');
-    return;
   }
   
   // Filter future events
@@ -180,7 +334,7 @@ async function processResults(allEvents, scrapingResults, airtableReady, config)
   if (config.futureOnly) {
     const futureEvents = [];
     allEvents.forEach(event => {
-      if (isEventInFuture(event.start_raw)) {
+      if (isUpcoming(event, event.timezone)) {
         futureEvents.push(event);
       } else {
         filteredOutPastEvents++;
@@ -194,32 +348,63 @@ async function processResults(allEvents, scrapingResults, airtableReady, config)
     log.info(`📅 Future events: ${processedEvents.length}`);
   }
   
-  if (processedEvents.length === 0) {
+  if (allEvents.length > 0 && processedEvents.length === 0) {
     log.warning('⚠️ No future events found after filtering');
-    return;
   }
   
+  // Group repeated listings into series (or tag each occurrence with its series)
+  const recurrence = detectRecurringEvents(processedEvents, { mode: config.recurringEvents });
+  processedEvents = recurrence.events;
+  
+  if (recurrence.series.length > 0) {
+    const occurrenceCount = recurrence.series.reduce((sum, series) => sum + series.occurrence_count, 0);
+    log.info(`🔁 Found ${recurrence.series.length} recurring series covering ${occurrenceCount} occurrences (${config.recurringEvents} mode)`);
+  }
+  
+  // Diff against the previous run before caps trim the list, so a capped-out
+  // event doesn't read as removed
+  const previousIndex = await loadEventIndex(config.eventIndexStore);
+  const { changes, index: eventIndex } = diffAgainstIndex(processedEvents, previousIndex, {
+    coveredSources: collectCoveredSources(scrapingResults)
+  });
+  log.info(`🆕 Since the last run: ${changes.counts.added} new, ${changes.counts.updated} updated, ${changes.counts.disappeared} disappeared`);
+  
   // Sort chronologically
   log.info('📅 Sorting events chronologically...');
-  processedEvents.sort((a, b) => {
-    const dateA = parseEventDate(a.start_raw);
-    const dateB = parseEventDate(b.start_raw);
-    return dateA.getTime() - dateB.getTime();
+  processedEvents.sort(compareEventStart);
+  
+  // Enforce per-source caps, then the overall maxEvents limit
+  const quotaResult = applyEventQuotas(processedEvents, {
+    maxEvents: config.maxEvents,
+    perSourceCaps: config.sourceCaps
+  });
+  processedEvents = quotaResult.events;
+  
+  Object.entries(quotaResult.truncatedBySourceCap).forEach(([key, count]) => {
+    log.info(`✂️ ${key}: dropped ${count} events over its per-source cap (${config.sourceCaps[key]})`);
   });
+  if (quotaResult.truncatedByMaxEvents > 0) {
+    log.info(`✂️ Dropped ${quotaResult.truncatedByMaxEvents} events over maxEvents (${config.maxEvents})`);
+  }
   
   // Show sample upcoming events
-  log.info('\n🎪 Upcoming events preview:');
+  if (processedEvents.length > 0) log.info('\n🎪 Upcoming events preview:');
   processedEvents.slice(0, 8).forEach((event, i) => {
-    const eventDate = parseEventDate(event.start_raw);
-    const dateStr = eventDate.toLocaleDateString('en-US', { 
-      weekday: 'short', 
-      month: 'short', 
-      day: 'numeric'
-    });
+    const dateStr = event.start
+      ? new Date(event.start).toLocaleDateString('en-US', {
+        timeZone: event.timezone,
+        weekday: 'short',
+        month: 'short',
+        day: 'numeric'
+      })
+      : 'Date TBD';
     log.info(`${String(i + 1).padStart(2)}. ${dateStr} - ${event.title_raw.substring(0, 50)}${event.title_raw.length > 50 ? '...' : ''}`);
-    log.info(`    🏛️ ${event.location_raw} (${event.source})`);
+    log.info(`    🏛️ ${event.venue_name || event.location_raw} (${event.source})`);
   });
   
+  // `hash` was the id field before event_id; kept as a copy until consumers move over
+  processedEvents.forEach(event => { event.hash = event.event_id; });
+  
   // Save to dataset
   await Actor.pushData(processedEvents);
   log.info(`💾 Saved ${processedEvents.length} events to Apify dataset`);
@@ -230,6 +415,9 @@ async function processResults(allEvents, scrapingResults, airtableReady, config)
     try {
       const airtableResult = await sendToAirtable(processedEvents);
       log.info(`📊 Airtable result: ${airtableResult.sent} sent, ${airtableResult.skipped || 0} skipped`);
+      if (airtableResult.error) {
+        log.warning(`⚠️ Airtable sync incomplete: ${airtableResult.error}`);
+      }
     } catch (airtableError) {
       log.error(`❌ Airtable integration failed: ${airtableError.message}`);
     }
@@ -237,18 +425,43 @@ async function processResults(allEvents, scrapingResults, airtableReady, config)
     log.info('📊 Airtable integration skipped - not configured or verification failed');
   }
   
+  await Actor.setValue('CHANGES', { scraped_at: new Date().toISOString(), ...changes });
+  
+  // A replayed run must not become the baseline for the next live run
+  if (config.replay) {
+    log.info('📼 Replay mode - event index not updated');
+  } else {
+    await saveEventIndex(eventIndex, config.eventIndexStore);
+  }
+  
   // Store statistics
   await Actor.setValue('LATEST_SCRAPE', {
     scraped_at: new Date().toISOString(),
     total_events_found: allEvents.length,
     events_after_filtering: processedEvents.length,
     filtered_out_past_events: filteredOutPastEvents,
+    truncated_by_source_cap: quotaResult.truncatedBySourceCap,
+    truncated_by_max_events: quotaResult.truncatedByMaxEvents,
+    changes: changes.counts,
+    cross_source_merges: collectMerges(scrapingResults),
+    recurring_series: recurrence.series,
+    unresolved_locations: summarizeUnresolvedLocations(allEvents),
     scraping_results: scrapingResults,
+    source_report: sourceReport,
+    snapshot_index_key: snapshotIndexKey,
     config_used: config,
-    success: true,
+    skipped_sources: skippedSources,
+    failed_sources: failedSources,
+    empty_sources: emptySources,
+    success: processedEvents.length > 0,
     towns_scraped: Object.keys(scrapingResults)
   });
   
+  if (processedEvents.length === 0) {
+    log.warning('⚠️ Run finished with no events to publish');
+    return;
+  }
+  
   log.info('\n🎉 SCRAPING COMPLETED SUCCESSFULLY!');
   log.info(`📈 Processed ${processedEvents.length} events from ${Object.keys(scrapingResults).length} towns`);
   if (airtableReady) {
@@ -257,10 +470,3 @@ async function processResults(allEvents, scrapingResults, airtableReady, config)
   log.info(`🔗 Dataset saved for newsletter generation`);
 }
 
-function isEventInFuture(dateString) {
-  if (!dateString) return true;
-  const now = new Date();
-  const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
-  const eventDate = parseEventDate(dateString);
-  return eventDate >= today;
-}
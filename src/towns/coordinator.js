@@ -0,0 +1,220 @@
+// src/towns/coordinator.js - Runs the sources declared in a town manifest
+import { log } from 'apify';
+import { sourceKey } from './registry.js';
+import { TimeoutError, withRetries, withTimeout } from '../utils/retry.js';
+import { finalizeSourceEvents } from '../utils/source-events.js';
+import { enrichEvents } from '../utils/enrichment.js';
+import { mergeTownEvents } from '../utils/event-merge.js';
+import { captureSnapshot, watchPage } from '../utils/snapshots.js';
+
+const DEFAULT_RETRIES = 2;
+const DEFAULT_TIME_BUDGET_MS = 180000;
+const RETRY_BASE_DELAY_MS = 2000;
+const DEFAULT_LOOKAHEAD_DAYS = 60;
+
+// Each source is called as source.scrape(page, context) with
+// context = { town, source, metrics, throttle, lookAheadDays }.
+//
+// options.pool      page pool from createPagePool() - bounds concurrency
+// options.throttle  domain throttle from createDomainThrottle() - politeness per domain
+// options.snapshots snapshot recorder from createSnapshotRecorder(), or null to disable
+// options.retryPolicy { retries, timeBudgetMs } - defaults, overridable per source in the manifest
+// options.enrichment { cache, maxPages } - detail-page pass for sources with `enrich: true`,
+//                   or null to disable (see src/utils/enrichment.js)
+// options.lookAheadDays how far ahead sources with a date-range query fetch (manifest `lookAheadDays` overrides)
+// options.selection { sources: [...], excludeSources: [...] } - entries are source keys
+//                   ("west-islip/library") or bare source ids ("library")
+export async function scrapeTown(town, { pool, throttle, selection = {}, retryPolicy = {}, snapshots = null, enrichment = null, lookAheadDays = DEFAULT_LOOKAHEAD_DAYS }) {
+  log.info(`=== SCRAPING TOWN: ${town.name} ===`);
+  
+  const sourceResults = {};
+  const plannedSources = town.sources.filter(source => {
+    const skipReason = getSkipReason(town, source, selection);
+    if (skipReason) {
+      log.info(`⏭️ Skipping ${source.name} (${skipReason})`);
+      sourceResults[sourceKey(town, source)] = { status: 'skipped', reason: skipReason };
+      return false;
+    }
+    return true;
+  });
+  
+  log.info(`🎯 Scraping ${plannedSources.length} ${town.name} sources (up to ${pool.size} at once)`);
+  
+  // Sources run concurrently; results are collected per index so the merge order
+  // always follows the manifest, whichever source finishes first
+  const outcomes = await Promise.all(plannedSources.map(source => runSource(town, source, { pool, throttle, retryPolicy, snapshots, enrichment, lookAheadDays })));
+  
+  let allEvents = [];
+  outcomes.forEach(({ key, events, result }) => {
+    allEvents = allEvents.concat(events);
+    sourceResults[key] = result;
+  });
+  
+  // The same event listed by several sources becomes one canonical event
+  const { events, merges } = mergeTownEvents(allEvents, { townName: town.name });
+  if (merges.length > 0) {
+    log.info(`🔗 ${town.name}: merged ${allEvents.length - events.length} cross-source duplicates into ${merges.length} events`);
+  }
+  
+  log.info(`🏘️ ${town.name} total: ${events.length} events from ${plannedSources.length} sources`);
+  
+  return { events, sourceResults, merges };
+}
+
+// Scrapes one source with retries and an overall time budget. Never throws -
+// the outcome is reported as status ok | empty | failed | timed_out.
+async function runSource(town, source, { pool, throttle, retryPolicy, snapshots, enrichment, lookAheadDays }) {
+  const key = sourceKey(town, source);
+  const context = { town, source, metrics: {}, throttle, lookAheadDays: source.lookAheadDays ?? lookAheadDays };
+  const retries = source.retries ?? retryPolicy.retries ?? DEFAULT_RETRIES;
+  const timeBudgetMs = source.timeBudgetMs ?? retryPolicy.timeBudgetMs ?? DEFAULT_TIME_BUDGET_MS;
+  
+  const startedAt = Date.now();
+  let deadline = null;
+  let attempts = 0;
+  let events = [];
+  let stats = {};
+  let status;
+  let error = null;
+  let snapshot = null;
+  let enrichmentStats = null;
+  
+  try {
+    const rawEvents = await withRetries(async attempt => {
+      attempts = attempt;
+      await throttle.wait(source.url);
+      
+      return pool.withPage(async page => {
+        // The budget starts once the source gets a page, not while it queues for one
+        deadline = deadline ?? Date.now() + timeBudgetMs;
+        
+        log.info(`🎯 Scraping ${source.name}${attempt > 1 ? ` (attempt ${attempt})` : ''}`);
+        const stopWatching = snapshots ? watchPage(page) : null;
+        
+        try {
+          const result = await withTimeout(source.scrape(page, context), Math.max(0, deadline - Date.now()), {
+            message: `${source.name} exceeded its ${timeBudgetMs / 1000}s time budget`
+          });
+          // A successful attempt is only captured when it may be reported: always,
+          // or when it found nothing (status empty)
+          if (snapshots && (snapshots.mode === 'always' || !Array.isArray(result) || result.length === 0)) {
+            snapshot = await captureSnapshot(page, stopWatching());
+          }
+          return result;
+        } catch (attemptError) {
+          // Keep what the page looked like at the end of the failed attempt; the
+          // capture has its own short time limit in case the page is hung
+          if (snapshots && !page.isClosed()) {
+            snapshot = await captureSnapshot(page, stopWatching());
+          }
+          if (attemptError instanceof TimeoutError) {
+            // Closing the page aborts whatever the scraper was still doing
+            await page.close().catch(() => {});
+          }
+          throw attemptError;
+        } finally {
+          // Pooled pages are reused - don't leave listeners behind
+          if (stopWatching) stopWatching();
+        }
+      });
+    }, {
+      retries,
+      baseDelayMs: RETRY_BASE_DELAY_MS,
+      shouldRetry: retryError => !(retryError instanceof TimeoutError),
+      onRetry: (retryError, attempt, delayMs) => {
+        log.warning(`🔁 ${source.name} attempt ${attempt} failed (${retryError.message}) - retrying in ${delayMs / 1000}s`);
+      }
+    });
+    
+    if (!Array.isArray(rawEvents)) {
+      throw new Error(`Invalid data type: ${typeof rawEvents}`);
+    }
+    
+    if (enrichment && source.enrich) {
+      enrichmentStats = await enrichSource(town, source, rawEvents, { pool, throttle, enrichment, timeBudgetMs });
+    }
+    
+    ({ events, stats } = finalizeSourceEvents(rawEvents, {
+      timeZone: town.timezone,
+      sourceId: key,
+      listingUrl: source.url,
+      venues: town.venues,
+      defaultVenueId: source.venue
+    }));
+    
+    status = events.length > 0 ? 'ok' : 'empty';
+    log.info(`${status === 'ok' ? '✅' : '📭'} ${source.name}: ${events.length} events collected (${stats.raw_count} extracted, ${stats.past_events_removed} past, ${stats.duplicates_removed} duplicates)`);
+    
+  } catch (sourceError) {
+    // Continue with other sources even if one fails
+    events = [];
+    status = sourceError instanceof TimeoutError ? 'timed_out' : 'failed';
+    error = sourceError.message;
+    log.error(`❌ ${source.name} ${status === 'timed_out' ? 'timed out' : 'failed'} after ${attempts} attempt(s): ${sourceError.message}`);
+  }
+  
+  const durationMs = Date.now() - startedAt;
+  
+  let snapshotKeys = null;
+  if (snapshot && snapshots.shouldSave(status)) {
+    snapshotKeys = await snapshots.save(key, snapshot, status);
+  }
+  
+  return {
+    key,
+    events,
+    result: {
+      name: source.name,
+      url: source.url,
+      status,
+      count: events.length,
+      ...stats,
+      error,
+      attempts,
+      duration_ms: durationMs,
+      snapshot: snapshotKeys,
+      enrichment: enrichmentStats,
+      ...summarizeMetrics(context.metrics)
+    }
+  };
+}
+
+// Detail pages get their own time budget; a failure here keeps the listing data
+async function enrichSource(town, source, rawEvents, { pool, throttle, enrichment, timeBudgetMs }) {
+  try {
+    const stats = await pool.withPage(page => enrichEvents(page, rawEvents, {
+      cache: enrichment.cache,
+      throttle,
+      listingUrl: source.url,
+      timeZone: town.timezone,
+      maxPages: enrichment.maxPages,
+      deadline: Date.now() + timeBudgetMs
+    }));
+    log.info(`🔎 ${source.name}: enriched ${stats.enriched} events (${stats.fetched} pages fetched, ${stats.cached} cached, ${stats.failed} failed)`);
+    return stats;
+  } catch (enrichError) {
+    log.warning(`⚠️ ${source.name} enrichment failed: ${enrichError.message}`);
+    return { error: enrichError.message };
+  }
+}
+
+function summarizeMetrics(metrics) {
+  const readiness = metrics.readiness || [];
+  return {
+    readiness_ms: readiness.reduce((total, wait) => total + wait.waitedMs, 0),
+    readiness_waits: readiness
+  };
+}
+
+function getSkipReason(town, source, selection) {
+  const matches = entry => entry === sourceKey(town, source) || entry === source.id;
+  const included = selection.sources || [];
+  const excluded = selection.excludeSources || [];
+  
+  if (excluded.some(matches)) return 'excluded by input';
+  if (included.length > 0) {
+    return included.some(matches) ? null : 'not in selected sources';
+  }
+  if (!source.enabled) return 'disabled by default';
+  return null;
+}
@@ -0,0 +1,87 @@
+// src/towns/registry.js - Discovers town manifests under src/towns/
+import { readdir } from 'fs/promises';
+import { dirname, join } from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+import { log } from 'apify';
+
+const TOWNS_DIR = dirname(fileURLToPath(import.meta.url));
+
+// Every town folder must contain an index.js exporting `manifest`:
+// { name, slug, timezone, venues: [{ id, name, street, ... }], sources: [{ id, name, url, scrape, venue, enabled }] }
+export async function discoverTowns() {
+  const entries = await readdir(TOWNS_DIR, { withFileTypes: true });
+  const folders = entries
+    .filter(entry => entry.isDirectory())
+    .map(entry => entry.name)
+    .sort();
+  
+  const towns = [];
+  
+  for (const folder of folders) {
+    const moduleUrl = pathToFileURL(join(TOWNS_DIR, folder, 'index.js')).href;
+    
+    let townModule;
+    try {
+      townModule = await import(moduleUrl);
+    } catch (importError) {
+      log.warning(`⚠️ Skipping town folder "${folder}": ${importError.message}`);
+      continue;
+    }
+    
+    if (!townModule.manifest) {
+      log.warning(`⚠️ Skipping town folder "${folder}": no manifest exported`);
+      continue;
+    }
+    
+    validateManifest(townModule.manifest, folder);
+    towns.push(townModule.manifest);
+  }
+  
+  return towns;
+}
+
+function validateManifest(manifest, folder) {
+  const problems = [];
+  
+  if (!manifest.name) problems.push('missing name');
+  if (manifest.slug !== folder) problems.push(`slug "${manifest.slug}" does not match folder name`);
+  if (!manifest.timezone) problems.push('missing timezone');
+  if (!Array.isArray(manifest.sources) || manifest.sources.length === 0) problems.push('no sources');
+  
+  const venueIds = new Set();
+  (manifest.venues || []).forEach((venue, index) => {
+    if (!venue.id) problems.push(`venue #${index + 1} has no id`);
+    if (venueIds.has(venue.id)) problems.push(`duplicate venue id "${venue.id}"`);
+    if (!venue.name) problems.push(`venue "${venue.id}" has no name`);
+    venueIds.add(venue.id);
+  });
+  
+  const seenIds = new Set();
+  (manifest.sources || []).forEach((source, index) => {
+    if (!source.id) problems.push(`source #${index + 1} has no id`);
+    if (seenIds.has(source.id)) problems.push(`duplicate source id "${source.id}"`);
+    if (!source.url) problems.push(`source "${source.id}" has no url`);
+    if (typeof source.scrape !== 'function') problems.push(`source "${source.id}" has no scrape function`);
+    if (source.venue && !venueIds.has(source.venue)) problems.push(`source "${source.id}" refers to unknown venue "${source.venue}"`);
+    seenIds.add(source.id);
+  });
+  
+  if (problems.length > 0) {
+    throw new Error(`Invalid manifest in src/towns/${folder}: ${problems.join(', ')}`);
+  }
+}
+
+// Stable, globally unique source identifier, e.g. "west-islip/library"
+export function sourceKey(town, source) {
+  return `${town.slug}/${source.id}`;
+}
+
+// Towns can be selected by display name ("West Islip") or slug ("west-islip")
+export function findTown(towns, nameOrSlug) {
+  const wanted = String(nameOrSlug || '').trim().toLowerCase();
+  return towns.find(town => town.name.toLowerCase() === wanted || town.slug === wanted);
+}
+
+export function listSourceKeys(towns) {
+  return towns.flatMap(town => town.sources.map(source => sourceKey(town, source)));
+}
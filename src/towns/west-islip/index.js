@@ -1,53 +1,85 @@
-// src/towns/west-islip/index.js - Updated with WIBCC source
-import { log } from 'apify';
+// src/towns/west-islip/index.js - West Islip manifest and town coordinator
+import { scrapeTown } from '../coordinator.js';
 import { scrapeLibrary } from './sources/library.js';
 import { scrapeChamber } from './sources/chamber.js';
 import { scrapeCountryFair } from './sources/country-fair.js';
 import { scrapeHistoricalSociety } from './sources/historical.js';
-import { scrapeFireDepartment } from './sources/fire-dept.js';
 import { scrapeWIBCC } from './sources/wibcc.js';
+import { scrapeEventsCalendar } from '../../utils/events-calendar.js';
+import { venues } from './venues.js';
 
-export async function scrapeWestIslip(page) {
-  log.info('=== SCRAPING TOWN: West Islip ===');
-  
-  let allEvents = [];
-  
-  // Configure West Islip sources
-  const sources = [
-    { name: 'Library', fn: scrapeLibrary, enabled: true },
-    { name: 'Chamber', fn: scrapeChamber, enabled: true },
-    { name: 'Country Fair', fn: scrapeCountryFair, enabled: true }, 
-    { name: 'Historical Society', fn: scrapeHistoricalSociety, enabled: true },
-    { name: 'Fire Department', fn: scrapeFireDepartment, enabled: true },
-    { name: 'WIBCC (Breast Cancer Coalition)', fn: scrapeWIBCC, enabled: true }
-  ];
-  
-  for (const [index, source] of sources.entries()) {
-    if (!source.enabled) {
-      log.info(`⏭️ Skipping ${source.name} (disabled)`);
-      continue;
+// Source ids are stable identifiers used in actor input and run reports - don't rename them.
+// `ready` declares when a page has finished loading (see src/utils/readiness.js).
+// `venue` is the registry venue (./venues.js) for events that don't give a location.
+// `enrich` opts a listing-only source into the detail-page pass (src/utils/enrichment.js).
+// Sites running The Events Calendar use scrapeEventsCalendar with their base URL as `url`
+// (src/utils/events-calendar.js lists its optional fields).
+export const manifest = {
+  name: 'West Islip',
+  slug: 'west-islip',
+  timezone: 'America/New_York',
+  venues,
+  sources: [
+    {
+      id: 'library',
+      name: 'Library',
+      url: 'https://westisliplibrary.libnet.info/events',
+      ready: { selector: '.eelistevent', timeout: 15000 },
+      scrape: scrapeLibrary,
+      venue: 'library',
+      enabled: true
+    },
+    {
+      id: 'chamber',
+      name: 'Chamber',
+      url: 'https://www.westislipchamber.org/events',
+      ready: { networkIdle: true, scroll: true, stableFor: 1500, timeout: 20000 },
+      scrape: scrapeChamber,
+      enrich: true,
+      enabled: true
+    },
+    {
+      id: 'country-fair',
+      name: 'Country Fair',
+      url: 'https://westislipcountryfair.org/',
+      ready: { stableFor: 1000, timeout: 10000 },
+      scrape: scrapeCountryFair,
+      venue: 'library',
+      enabled: true
+    },
+    {
+      id: 'historical-society',
+      name: 'Historical Society',
+      url: 'https://www.westisliphistoricalsociety.org/index.php/events',
+      ready: { selector: 'a[href*="eventdetail"]', timeout: 15000 },
+      scrape: scrapeHistoricalSociety,
+      venue: 'historical-society',
+      enrich: true,
+      enabled: true
+    },
+    {
+      id: 'fire-department',
+      name: 'Fire Department',
+      url: 'https://westislipfd.com/',
+      ready: { networkIdle: true, stableFor: 1500, timeout: 20000 },
+      scrape: scrapeEventsCalendar,
+      organization: 'West Islip Fire Department',
+      categoryHint: 'fire department',
+      categories: ['public-event'],
+      venue: 'fire-department-hq',
+      enabled: true
+    },
+    {
+      id: 'wibcc',
+      name: 'WIBCC (Breast Cancer Coalition)',
+      url: 'https://wibcc.org/events',
+      ready: { networkIdle: { idleTime: 1500 }, scroll: true, stableFor: 2000, timeout: 30000 },
+      scrape: scrapeWIBCC,
+      enabled: true
     }
-    
-    try {
-      log.info(`\n🎯 Scraping ${source.name} (${index + 1}/${sources.length})`);
-      
-      const events = await source.fn(page);
-      allEvents = allEvents.concat(events);
-      
-      log.info(`✅ ${source.name}: ${events.length} events collected`);
-      
-      // Delay between sources to be respectful
-      if (index < sources.length - 1) {
-        await new Promise(resolve => setTimeout(resolve, 3000));
-      }
-      
-    } catch (sourceError) {
-      log.error(`❌ Error scraping ${source.name}: ${sourceError.message}`);
-      // Continue with other sources even if one fails
-    }
-  }
-  
-  log.info(`🏘️ West Islip total: ${allEvents.length} events from ${sources.filter(s => s.enabled).length} sources`);
-  
-  return allEvents;
+  ]
+};
+
+export async function scrapeWestIslip(options) {
+  return scrapeTown(manifest, options);
 }
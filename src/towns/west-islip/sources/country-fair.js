@@ -1,100 +1,77 @@
 // src/towns/west-islip/sources/country-fair.js - Fixed Country Fair scraper
 import { log } from 'apify';
-import { generateHash } from '../../../utils/hash-generator.js';
-import { isEventInFuture } from '../../../utils/date-parser.js';
+import { openSourcePage } from '../../../utils/navigation.js';
 
-export async function scrapeCountryFair(page) {
+export async function scrapeCountryFair(page, context) {
   log.info('=== SCRAPING: West Islip Country Fair ===');
   
-  try {
-    await page.goto('https://westislipcountryfair.org/', { 
-      waitUntil: 'domcontentloaded',
-      timeout: 30000 
-    });
+  await openSourcePage(page, context.source.url, context);
+  
+  const events = await page.evaluate(() => {
+    const events = [];
     
-    // Use setTimeout instead of page.waitForTimeout
-    await new Promise(resolve => setTimeout(resolve, 5000));
+    const pageText = document.body.textContent || '';
     
-    const events = await page.evaluate(() => {
-      const events = [];
-      
-      const bodyText = document.body.textContent || '';
-      
-      // Look for September dates (typical country fair time)
-      const dateMatches = bodyText.match(/(?:Sept|September)\s+\d{1,2}(?:st|nd|rd|th)?\s*,?\s*\d{4}/gi);
-      const timeMatches = bodyText.match(/\d{1,2}AM-\d{1,2}PM/gi);
-      
-      let title = 'West Islip Country Fair';
-      let description = '';
-      let dateTime = '';
-      let location = 'West Islip Public Library, West Islip, NY';
-      
-      const contentSections = [
-        'Live music on the stage',
-        'Childrens area with Bounce, Slide, Magician, Face Painting',
-        'Italian, Polish, Greek, Crepes, Philly Cheese Steaks, Hot Dogs, Hamburgers, Roasted Corn, Funnel Cakes, Ices, Smoothies, Fried Oreos'
-      ];
-      
-      description = `Annual West Islip Country Fair featuring ${contentSections.join(', ')} and more! Family-friendly community event with food, entertainment, and activities for all ages.`;
-      
-      if (dateMatches && dateMatches.length > 0) {
-        dateTime = dateMatches[0];
-        if (timeMatches && timeMatches.length > 0) {
-          dateTime += `, ${timeMatches[0]}`;
-        }
-      }
-      
-      const rainDateMatch = bodyText.match(/Rain date[:\s]*(?:Sept|September)\s+\d{1,2}(?:st|nd|rd|th)?\s*,?\s*\d{4}/i);
-      if (rainDateMatch) {
-        description += ` ${rainDateMatch[0]}.`;
-      }
-      
-      if (dateTime) {
-        events.push({
-          title_raw: title,
-          description_raw: description,
-          start_raw: dateTime,
-          location_raw: location,
-          url_raw: 'https://westislipcountryfair.org/',
-          category_hint: 'community fair',
-          source: 'West Islip Country Fair',
-          fetched_at: new Date().toISOString()
-        });
-      }
-      
-      return events;
-    });
+    // The rain date is its own field, so keep it out of the main date search
+    const rainDatePattern = /Rain\s*date[:\s]*((?:Sept|September)\s+\d{1,2}(?:st|nd|rd|th)?(?:\s*,?\s*\d{4})?)/i;
+    const rainDateMatch = pageText.match(rainDatePattern);
+    const bodyText = pageText.replace(rainDatePattern, '');
     
-    const uniqueEvents = [];
-    const seenHashes = new Set();
-    let filteredOutPastEvents = 0;
+    // Look for September dates (typical country fair time), including two-day
+    // spans like "September 27th & 28th, 2025"
+    const dateMatches = bodyText.match(/(?:Sept|September)\s+\d{1,2}(?:st|nd|rd|th)?(?:\s*(?:-|–|&|and)\s*\d{1,2}(?:st|nd|rd|th)?)?(?:\s*,?\s*\d{4})?/gi);
+    const timeMatches = bodyText.match(/\d{1,2}AM-\d{1,2}PM/gi);
     
-    events.forEach(event => {
-      event.hash = generateHash(event.title_raw, event.start_raw, event.description_raw, event.source);
-      
-      if (isEventInFuture(event.start_raw)) {
-        if (!seenHashes.has(event.hash)) {
-          seenHashes.add(event.hash);
-          uniqueEvents.push(event);
-        }
-      } else {
-        filteredOutPastEvents++;
-      }
-    });
+    let title = 'West Islip Country Fair';
+    let description = '';
+    let dateTime = '';
+    let location = 'West Islip Public Library, West Islip, NY';
     
-    log.info(`Extracted ${uniqueEvents.length} unique future events from West Islip Country Fair`);
-    if (filteredOutPastEvents > 0) {
-      log.info(`Filtered out ${filteredOutPastEvents} past events from Country Fair`);
-    }
-  
-    if (uniqueEvents.length > 0) {
-      log.info(`Sample fair event: "${uniqueEvents[0].title_raw}" - Date: "${uniqueEvents[0].start_raw}"`);
+    const contentSections = [
+      'Live music on the stage',
+      'Childrens area with Bounce, Slide, Magician, Face Painting',
+      'Italian, Polish, Greek, Crepes, Philly Cheese Steaks, Hot Dogs, Hamburgers, Roasted Corn, Funnel Cakes, Ices, Smoothies, Fried Oreos'
+    ];
+    
+    description = `Annual West Islip Country Fair featuring ${contentSections.join(', ')} and more! Family-friendly community event with food, entertainment, and activities for all ages.`;
+    
+    if (dateMatches && dateMatches.length > 0) {
+      dateTime = dateMatches[0];
+      if (timeMatches && timeMatches.length > 0) {
+        dateTime += `, ${timeMatches[0]}`;
+      }
     }
     
-    return uniqueEvents;
+    // Every sentence about the rain date or a postponement, one per line; normalization
+    // decides whether any of them says the rain date is in effect
+    const notices = pageText.split(/[.!\n]/)
+      .map(sentence => sentence.replace(/\s+/g, ' ').trim())
+      .filter(sentence => /rain\s*date|postpone|moved\s+to/i.test(sentence));
+    
+    if (dateTime) {
+      events.push({
+        title_raw: title,
+        description_raw: description,
+        start_raw: dateTime,
+        rain_date_raw: rainDateMatch ? rainDateMatch[1] : '',
+        status_raw: notices.join('\n'),
+        location_raw: location,
+        url_raw: 'https://westislipcountryfair.org/',
+        category_hint: 'community fair',
+        source: 'West Islip Country Fair',
+        fetched_at: new Date().toISOString(),
+        detection_method: 'page_text'
+      });
+    }
     
-  } catch (error) {
-    log.error('Error scraping West Islip Country Fair:', error.message);
-    return [];
+    return events;
+  });
+  
+  log.info(`Extracted ${events.length} events from West Islip Country Fair`);
+  
+  if (events.length > 0) {
+    log.info(`Sample fair event: "${events[0].title_raw}" - Date: "${events[0].start_raw}"${events[0].rain_date_raw ? ` (rain date ${events[0].rain_date_raw})` : ''}`);
   }
+  
+  return events;
 }
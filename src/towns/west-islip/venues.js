@@ -0,0 +1,78 @@
+// src/towns/west-islip/venues.js - Known West Islip venues
+//
+// Events are matched to a venue by `aliases` (names as sources write them) or by the
+// street number and name in `street`. Coordinates are street-level approximations;
+// null fields are not yet verified - fill them in rather than guessing.
+export const venues = [
+  {
+    id: 'library',
+    name: 'West Islip Public Library',
+    street: '3 Higbie Lane',
+    city: 'West Islip',
+    state: 'NY',
+    postal_code: '11795',
+    latitude: 40.7089,
+    longitude: -73.3063,
+    aliases: ['west islip public library', 'west islip library', 'wipl']
+  },
+  {
+    id: 'fire-department-hq',
+    name: 'West Islip Fire Department HQ',
+    street: '309 Union Blvd',
+    city: 'West Islip',
+    state: 'NY',
+    postal_code: '11795',
+    latitude: 40.7066,
+    longitude: -73.3120,
+    aliases: ['west islip fire department hq', 'fire department hq', 'west islip fire department', 'wifd']
+  },
+  {
+    // The Society's events list no street address and its site names no building,
+    // so only alias matching and the source default place events here for now
+    id: 'historical-society',
+    name: 'West Islip Historical Society',
+    street: null,
+    city: 'West Islip',
+    state: 'NY',
+    postal_code: '11795',
+    latitude: null,
+    longitude: null,
+    aliases: ['west islip historical society', 'west islip history center', 'history center']
+  },
+  {
+    id: 'good-samaritan-hospital',
+    name: 'Good Samaritan University Hospital',
+    street: '1000 Montauk Hwy',
+    city: 'West Islip',
+    state: 'NY',
+    postal_code: '11795',
+    latitude: 40.7068,
+    longitude: -73.2987,
+    aliases: ['good samaritan hospital', 'good samaritan', 'good sam']
+  },
+  {
+    id: 'west-islip-high-school',
+    name: 'West Islip High School',
+    street: '1 Lions Path',
+    city: 'West Islip',
+    state: 'NY',
+    postal_code: '11795',
+    // Not yet geocoded - address matching works without coordinates
+    latitude: null,
+    longitude: null,
+    aliases: ['west islip high school', 'wihs']
+  },
+  {
+    // Named by sources but never with an address; which town-run marina they mean
+    // hasn't been confirmed, so it only resolves by name
+    id: 'marina',
+    name: 'West Islip Marina',
+    street: null,
+    city: 'West Islip',
+    state: 'NY',
+    postal_code: '11795',
+    latitude: null,
+    longitude: null,
+    aliases: ['west islip marina']
+  }
+];
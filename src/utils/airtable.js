@@ -1,4 +1,4 @@
-// src/utils/airtable.js - Fixed clearing logic
+// src/utils/airtable.js - Replaces the RawEvents table with the latest events
 import { log } from 'apify';
 
 export async function verifyAirtableSetup(AIRTABLE_TOKEN, AIRTABLE_BASE_ID) {
@@ -30,88 +30,83 @@ export async function verifyAirtableSetup(AIRTABLE_TOKEN, AIRTABLE_BASE_ID) {
   }
 }
 
-async function clearAllRecords(AIRTABLE_TOKEN, AIRTABLE_BASE_ID) {
-  try {
-    log.info('🧹 Clearing all existing records...');
-    
-    let allRecords = [];
-    let offset = null;
+// Ids of every record currently in the table
+async function listRecordIds(AIRTABLE_TOKEN, AIRTABLE_BASE_ID) {
+  let recordIds = [];
+  let offset = null;
+  
+  do {
+    let url = `https://api.airtable.com/v0/${AIRTABLE_BASE_ID}/RawEvents`;
+    if (offset) {
+      url += `?offset=${offset}`;
+    }
     
-    // Fetch ALL records first
-    do {
-      let url = `https://api.airtable.com/v0/${AIRTABLE_BASE_ID}/RawEvents`;
-      if (offset) {
-        url += `?offset=${offset}`;
-      }
-      
-      const response = await fetch(url, {
-        headers: {
-          'Authorization': `Bearer ${AIRTABLE_TOKEN}`,
-          'Content-Type': 'application/json'
-        }
-      });
-      
-      if (!response.ok) {
-        if (response.status === 404) {
-          log.info('📝 Table is empty, nothing to clear');
-          return 0;
-        }
-        throw new Error(`Failed to fetch records: ${response.status}`);
+    const response = await fetch(url, {
+      headers: {
+        'Authorization': `Bearer ${AIRTABLE_TOKEN}`,
+        'Content-Type': 'application/json'
       }
-      
-      const result = await response.json();
-      allRecords = allRecords.concat(result.records);
-      offset = result.offset;
-      
-      log.info(`📥 Fetched ${result.records.length} records (total: ${allRecords.length})`);
-      
-    } while (offset);
+    });
     
-    if (allRecords.length === 0) {
-      log.info('✨ No records to clear');
-      return 0;
+    if (!response.ok) {
+      if (response.status === 404) {
+        log.info('📝 Table is empty, nothing to replace');
+        return [];
+      }
+      throw new Error(`Failed to fetch records: ${response.status}`);
     }
     
-    log.info(`🗑️ Found ${allRecords.length} total records to delete`);
+    const result = await response.json();
+    recordIds = recordIds.concat(result.records.map(record => record.id));
+    offset = result.offset;
     
-    // Delete in batches of 10 (Airtable limit)
-    let totalDeleted = 0;
-    for (let i = 0; i < allRecords.length; i += 10) {
-      const batch = allRecords.slice(i, i + 10);
-      const recordIds = batch.map(record => record.id);
-      
-      const deleteUrl = `https://api.airtable.com/v0/${AIRTABLE_BASE_ID}/RawEvents?${recordIds.map(id => `records[]=${id}`).join('&')}`;
-      
-      const deleteResponse = await fetch(deleteUrl, {
-        method: 'DELETE',
-        headers: {
-          'Authorization': `Bearer ${AIRTABLE_TOKEN}`,
-          'Content-Type': 'application/json'
-        }
-      });
-      
-      if (deleteResponse.ok) {
-        const deleteResult = await deleteResponse.json();
-        totalDeleted += deleteResult.records.length;
-        log.info(`🗑️ Deleted batch ${Math.floor(i/10) + 1}/${Math.ceil(allRecords.length/10)} (${deleteResult.records.length} records)`);
-      } else {
-        const errorText = await deleteResponse.text();
-        log.error(`❌ Failed to delete batch: ${deleteResponse.status} - ${errorText}`);
-      }
-      
-      // Rate limiting between batches
-      if (i + 10 < allRecords.length) {
-        await new Promise(resolve => setTimeout(resolve, 300));
+    log.info(`📥 Fetched ${result.records.length} records (total: ${recordIds.length})`);
+    
+  } while (offset);
+  
+  return recordIds;
+}
+
+async function deleteRecords(AIRTABLE_TOKEN, AIRTABLE_BASE_ID, recordIds) {
+  if (recordIds.length === 0) {
+    log.info('✨ No records to clear');
+    return 0;
+  }
+  
+  log.info(`🗑️ Deleting ${recordIds.length} records`);
+  
+  // Delete in batches of 10 (Airtable limit)
+  let totalDeleted = 0;
+  for (let i = 0; i < recordIds.length; i += 10) {
+    const batch = recordIds.slice(i, i + 10);
+    
+    const deleteUrl = `https://api.airtable.com/v0/${AIRTABLE_BASE_ID}/RawEvents?${batch.map(id => `records[]=${id}`).join('&')}`;
+    
+    const deleteResponse = await fetch(deleteUrl, {
+      method: 'DELETE',
+      headers: {
+        'Authorization': `Bearer ${AIRTABLE_TOKEN}`,
+        'Content-Type': 'application/json'
       }
-    }
+    });
     
-    log.info(`✅ Successfully deleted ${totalDeleted} records`);
-    return totalDeleted;
+    if (deleteResponse.ok) {
+      const deleteResult = await deleteResponse.json();
+      totalDeleted += deleteResult.records.length;
+      log.info(`🗑️ Deleted batch ${Math.floor(i/10) + 1}/${Math.ceil(recordIds.length/10)} (${deleteResult.records.length} records)`);
+    } else {
+      const errorText = await deleteResponse.text();
+      log.error(`❌ Failed to delete batch: ${deleteResponse.status} - ${errorText}`);
+    }
     
-  } catch (error) {
-    log.error('❌ Error clearing records:', error.message);
-    throw error;
+    // Rate limiting between batches
+    if (i + 10 < recordIds.length) {
+      await new Promise(resolve => setTimeout(resolve, 300));
+    }
   }
+  
+  log.info(`✅ Successfully deleted ${totalDeleted} records`);
+  return totalDeleted;
 }
 
 export async function sendToAirtable(events) {
@@ -126,12 +121,14 @@ export async function sendToAirtable(events) {
   log.info(`📤 Starting Airtable integration for ${events.length} events`);
   
   try {
-    // FIRST: Clear ALL existing records
-    const deletedCount = await clearAllRecords(AIRTABLE_TOKEN, AIRTABLE_BASE_ID);
+    // The table is replaced: new records go in first and the old ones are only
+    // deleted once every batch was accepted, so a schema mismatch (a missing
+    // field, a select option Airtable can't add) never leaves the table empty
+    const previousRecordIds = await listRecordIds(AIRTABLE_TOKEN, AIRTABLE_BASE_ID);
     
     if (events.length === 0) {
-      log.info('📝 No new events to add');
-      return { sent: 0, skipped: 0, cleared: deletedCount };
+      log.info('📝 No new events to add - keeping the existing records');
+      return { sent: 0, skipped: 0, cleared: 0 };
     }
     
     // Filter valid events
@@ -143,9 +140,9 @@ export async function sendToAirtable(events) {
       return true;
     });
     
-    log.info(`📤 Adding ${validEvents.length} new events to clean table`);
+    log.info(`📤 Adding ${validEvents.length} new events (replacing ${previousRecordIds.length} records)`);
     
-    let totalSent = 0;
+    const createdRecordIds = [];
     const batchSize = 10;
     const totalBatches = Math.ceil(validEvents.length / batchSize);
     
@@ -160,11 +157,44 @@ export async function sendToAirtable(events) {
           title_raw: String(event.title_raw || '').substring(0, 1000),
           description_raw: String(event.description_raw || '').substring(0, 2000),
           start_raw: String(event.start_raw || '').substring(0, 255),
+          start: event.start || null,
+          end: event.end || null,
+          all_day: !!event.all_day,
+          date_confidence: event.date_confidence || 'none',
+          multi_day: !!event.multi_day,
+          rain_date: event.rain_date || null,
+          event_status: event.event_status || 'scheduled',
+          recurrence: String(event.recurrence || '').substring(0, 255),
           location_raw: String(event.location_raw || '').substring(0, 500),
+          venue_id: String(event.venue_id || '').substring(0, 255),
+          venue_name: String(event.venue_name || '').substring(0, 255),
+          street_address: String(event.street_address || '').substring(0, 255),
+          latitude: event.latitude ?? null,
+          longitude: event.longitude ?? null,
+          room: String(event.room || '').substring(0, 255),
+          // null when the source doesn't say - unknown isn't "not required"
+          registration_required: event.registration_required ?? null,
+          registration_status: event.registration_status || null,
+          registration_url: String(event.registration_url || '').substring(0, 1000),
+          registration_opens: event.registration_opens || null,
+          seats_remaining: event.seats_remaining ?? null,
+          audience: (event.audience || []).join(', ').substring(0, 255),
+          age_group: String(event.age_group || '').substring(0, 255),
+          price: String(event.price || '').substring(0, 255),
+          image_url: String(event.image_url || '').substring(0, 1000),
+          contact_name: String(event.contact_name || '').substring(0, 255),
+          contact_email: String(event.contact_email || '').substring(0, 255),
+          contact_phone: String(event.contact_phone || '').substring(0, 255),
           url_raw: String(event.url_raw || '').substring(0, 1000),
+          source_urls: (event.source_urls || [event.url_raw]).filter(Boolean).join('\n').substring(0, 2000),
           category_hint: String(event.category_hint || '').substring(0, 255),
+          categories: event.categories || [],
           fetched_at: event.fetched_at || new Date().toISOString(),
-          hash: String(event.hash || '').substring(0, 255)
+          change_status: event.change_status || 'new',
+          event_id: String(event.event_id || '').substring(0, 255),
+          content_hash: String(event.content_hash || '').substring(0, 255),
+          // Deprecated copy of event_id for views still keyed on the old field
+          hash: String(event.event_id || '').substring(0, 255)
         }
       }));
 
@@ -174,28 +204,40 @@ export async function sendToAirtable(events) {
           'Authorization': `Bearer ${AIRTABLE_TOKEN}`,
           'Content-Type': 'application/json'
         },
-        body: JSON.stringify({ records })
+        // typecast lets Airtable coerce values and add new select options
+        // (e.g. a new taxonomy category) instead of rejecting the batch
+        body: JSON.stringify({ records, typecast: true })
       });
 
-      if (response.ok) {
-        const result = await response.json();
-        totalSent += result.records.length;
-        log.info(`📤 Added batch ${batchNumber}/${totalBatches}: ${result.records.length} records`);
-      } else {
+      if (!response.ok) {
         const errorText = await response.text();
         log.error(`❌ Batch ${batchNumber} failed: ${response.status} - ${errorText}`);
+        // Undo this run's partial upload; the previous records stay as they were
+        await deleteRecords(AIRTABLE_TOKEN, AIRTABLE_BASE_ID, createdRecordIds);
+        return {
+          sent: 0,
+          skipped: events.length,
+          cleared: 0,
+          error: `Batch ${batchNumber} rejected (${response.status}) - existing records kept`
+        };
       }
       
+      const result = await response.json();
+      createdRecordIds.push(...result.records.map(record => record.id));
+      log.info(`📤 Added batch ${batchNumber}/${totalBatches}: ${result.records.length} records`);
+      
       // Rate limiting between batches
       if (i + batchSize < validEvents.length) {
         await new Promise(resolve => setTimeout(resolve, 300));
       }
     }
     
-    log.info(`✅ Airtable update complete: Cleared ${deletedCount}, Added ${totalSent}`);
+    const deletedCount = await deleteRecords(AIRTABLE_TOKEN, AIRTABLE_BASE_ID, previousRecordIds);
+    
+    log.info(`✅ Airtable update complete: Cleared ${deletedCount}, Added ${createdRecordIds.length}`);
     
     return { 
-      sent: totalSent, 
+      sent: createdRecordIds.length, 
       skipped: events.length - validEvents.length,
       cleared: deletedCount,
       errors: 0
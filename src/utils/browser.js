@@ -0,0 +1,43 @@
+// src/utils/browser.js - Browser launch and per-page setup shared by all runs
+import puppeteer from 'puppeteer';
+import { handleReplayRequest } from './replay.js';
+
+const USER_AGENT = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36';
+const BLOCKED_RESOURCE_TYPES = ['image', 'stylesheet', 'font', 'media'];
+
+export async function launchBrowser({ headless = true } = {}) {
+  return puppeteer.launch({
+    headless,
+    args: [
+      '--no-sandbox',
+      '--disable-setuid-sandbox',
+      '--disable-dev-shm-usage',
+      '--disable-extensions',
+      '--disable-gpu',
+      '--no-first-run'
+    ]
+  });
+}
+
+// replay: fixtures from loadReplayFixtures() - serve pages offline instead of the network
+export async function preparePage(page, { blockResources = true, replay = null } = {}) {
+  await page.setUserAgent(USER_AGENT);
+  
+  if (replay) {
+    await page.setRequestInterception(true);
+    page.on('request', (req) => handleReplayRequest(req, replay));
+    return;
+  }
+  
+  // Enable resource blocking for faster performance
+  if (blockResources) {
+    await page.setRequestInterception(true);
+    page.on('request', (req) => {
+      if (BLOCKED_RESOURCE_TYPES.includes(req.resourceType())) {
+        req.abort();
+      } else {
+        req.continue();
+      }
+    });
+  }
+}
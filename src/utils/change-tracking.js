@@ -0,0 +1,150 @@
+// src/utils/change-tracking.js - Compares each run's events with the previous run's
+//
+// The index of known events lives in a named key-value store, so it outlives the
+// run's default store. Each entry remembers an event's content_hash and details:
+//   added        event_id not seen before (a merged event also matches on the
+//                event_id of any source it was merged from, so its id can move
+//                to another source without reading as a new event)
+//   updated      known event_id with a new content_hash (changed fields listed)
+//   disappeared  known, still-upcoming event that a source which ran fine no longer lists
+// Events from sources that failed or were skipped this run are carried over
+// unchanged, so an outage doesn't read as every event being pulled and re-added.
+import { Actor, log } from 'apify';
+import { CONTENT_FIELDS } from './hash-generator.js';
+import { isUpcoming } from './normalize.js';
+
+export const DEFAULT_INDEX_STORE = 'local-loop-event-index';
+const INDEX_KEY = 'EVENT_INDEX';
+
+export async function loadEventIndex(storeName = DEFAULT_INDEX_STORE) {
+  const store = await Actor.openKeyValueStore(storeName);
+  const index = await store.getValue(INDEX_KEY);
+  return index?.events ? index : { updated_at: null, events: {} };
+}
+
+export async function saveEventIndex(index, storeName = DEFAULT_INDEX_STORE) {
+  const store = await Actor.openKeyValueStore(storeName);
+  await store.setValue(INDEX_KEY, index);
+  log.info(`🗂️ Saved index of ${Object.keys(index.events).length} events to the "${storeName}" store`);
+}
+
+// Sets change_status (new | updated | unchanged) and first_seen on every event.
+// coveredSources: source keys that ran successfully (ok or empty) this run.
+// Returns { changes, index } - the CHANGES record and the index to save for next run.
+export function diffAgainstIndex(events, previousIndex, { coveredSources, now = new Date() }) {
+  const previous = previousIndex.events || {};
+  const seenAt = now.toISOString();
+  const nextEvents = {};
+  const added = [];
+  const updated = [];
+  const disappeared = [];
+  const aliases = memberAliases(previous);
+  const matchedIds = new Set();
+
+  events.forEach(event => {
+    const knownId = findKnownId(event, previous, aliases);
+    const known = knownId ? previous[knownId] : undefined;
+    if (knownId) matchedIds.add(knownId);
+
+    if (!known) {
+      event.change_status = 'new';
+      added.push(summarize(event));
+    } else if (known.content_hash !== event.content_hash) {
+      event.change_status = 'updated';
+      updated.push({ ...summarize(event), changed_fields: changedFields(known.fields, event) });
+    } else {
+      event.change_status = 'unchanged';
+    }
+
+    event.first_seen = known?.first_seen || seenAt;
+    nextEvents[event.event_id] = toIndexEntry(event, seenAt);
+  });
+
+  Object.entries(previous).forEach(([eventId, known]) => {
+    if (nextEvents[eventId] || matchedIds.has(eventId)) return;
+
+    const upcoming = isUpcoming({ start: known.start, end: known.end }, known.timezone, now);
+    if (!coveredSources.has(known.source_id)) {
+      // Couldn't check this source today - keep the entry as it was
+      if (upcoming) nextEvents[eventId] = known;
+    } else if (upcoming) {
+      disappeared.push({ event_id: eventId, ...summarizeEntry(known) });
+    }
+  });
+
+  return {
+    changes: {
+      compared_to: previousIndex.updated_at,
+      counts: {
+        added: added.length,
+        updated: updated.length,
+        disappeared: disappeared.length,
+        unchanged: events.length - added.length - updated.length
+      },
+      added,
+      updated,
+      disappeared
+    },
+    index: { updated_at: seenAt, events: nextEvents }
+  };
+}
+
+// The previous run's entry for this event: by its own event_id, then by the ids of
+// the listings merged into it, on either side
+function findKnownId(event, previous, aliases) {
+  const ids = [event.event_id, ...(event.sources || []).map(source => source.event_id)].filter(Boolean);
+  return ids.find(id => previous[id]) || ids.map(id => aliases.get(id)).find(Boolean) || null;
+}
+
+function memberAliases(previous) {
+  const aliases = new Map();
+  Object.entries(previous).forEach(([eventId, entry]) => {
+    (entry.member_ids || []).forEach(memberId => {
+      if (!aliases.has(memberId)) aliases.set(memberId, eventId);
+    });
+  });
+  return aliases;
+}
+
+function changedFields(before = {}, event) {
+  return CONTENT_FIELDS.reduce((acc, field) => {
+    const from = before[field] ?? null;
+    const to = event[field] ?? null;
+    if (from !== to) acc[field] = { from, to };
+    return acc;
+  }, {});
+}
+
+function toIndexEntry(event, seenAt) {
+  return {
+    content_hash: event.content_hash,
+    source_id: event.source_id,
+    member_ids: (event.sources || []).map(source => source.event_id),
+    timezone: event.timezone,
+    start: event.start,
+    end: event.end,
+    first_seen: event.first_seen,
+    last_seen: seenAt,
+    fields: Object.fromEntries(CONTENT_FIELDS.map(field => [field, event[field] ?? null]))
+  };
+}
+
+function summarize(event) {
+  return {
+    event_id: event.event_id,
+    title: event.title_raw,
+    start: event.start,
+    source_id: event.source_id,
+    url: event.url_raw
+  };
+}
+
+function summarizeEntry(entry) {
+  return {
+    title: entry.fields?.title_raw,
+    start: entry.start,
+    source_id: entry.source_id,
+    url: entry.fields?.url_raw,
+    last_seen: entry.last_seen
+  };
+}
@@ -1,172 +1,243 @@
-// src/utils/date-parser.js - Fixed for Historical Society dates
-export function parseEventDate(dateString) {
-  if (!dateString) return new Date('2099-12-31');
-  
-  const now = new Date();
-  const currentYear = now.getFullYear();
-  
-  // Pattern 1: "August 14: 11:00am - 2:00pm" or "August 14"
-  const monthDayMatch = dateString.match(/\b(Jan|Feb|Mar|Apr|May|Jun|Jul|Aug|Sep|Oct|Nov|Dec)[a-z]*\.?\s+(\d{1,2})\b/i);
-  if (monthDayMatch) {
-    const monthName = monthDayMatch[1];
-    const day = parseInt(monthDayMatch[2]);
-    
-    const monthMap = {
-      'jan': 0, 'feb': 1, 'mar': 2, 'apr': 3, 'may': 4, 'jun': 5,
-      'jul': 6, 'aug': 7, 'sep': 8, 'oct': 9, 'nov': 10, 'dec': 11
-    };
-    
-    const month = monthMap[monthName.toLowerCase().substring(0, 3)];
-    if (month !== undefined) {
-      let eventDate = new Date(currentYear, month, day);
-      
-      // If event is in the past, assume next year
-      if (eventDate < new Date(now.getFullYear(), now.getMonth(), now.getDate())) {
-        eventDate = new Date(currentYear + 1, month, day);
-      }
-      
-      const timeMatch = dateString.match(/(\d{1,2}):(\d{2})\s*(AM|PM)/i);
-      if (timeMatch) {
-        let hours = parseInt(timeMatch[1]);
-        const minutes = parseInt(timeMatch[2]);
-        const ampm = timeMatch[3].toLowerCase();
-        
-        if (ampm === 'pm' && hours !== 12) hours += 12;
-        if (ampm === 'am' && hours === 12) hours = 0;
-        
-        eventDate.setHours(hours, minutes);
-      }
-      
-      return eventDate;
-    }
+// src/utils/date-parser.js - Parses the date strings our sources emit
+//
+// parseEventDate() returns wall-clock parts ({ year, month, day, hour, minute },
+// month 1-12) rather than Date objects, so the result doesn't depend on the
+// server's timezone - normalize.js turns them into ISO strings for the town.
+//
+// Formats seen in the wild, by source:
+//   Library             "Monday, August 18: 10:00 AM - 11:00 AM", "Aug 18"
+//   Chamber             "Sep 11, 2025, 6:00 PM – 8:00 PM", "Sep 11, 2025"
+//   Country Fair        "September 27th, 2025, 10AM-4PM", "Sept 27-28, 2025"
+//   Historical Society  "Tuesday, February 04, 2025 12:00pm - 02:00pm"
+//   Fire Department     "October 4 @ 6:00 pm - 10:00 pm", "October 4, 2025 6:00 pm"
+//   WIBCC               "AUGUST 12TH", "AUGUST 12TH, 2025 10AM - 4PM"
+//   Feeds / JSON-LD     "2025-10-04", "2025-10-04 18:00:00", "2025-10-04T18:00:00"
+import { inferYear } from './year-inference.js';
+import { addLocalDays } from './timezone.js';
+
+const MONTHS = {
+  jan: 1, feb: 2, mar: 3, apr: 4, may: 5, jun: 6,
+  jul: 7, aug: 8, sep: 9, oct: 10, nov: 11, dec: 12
+};
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+const MONTH_NAME = '(jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|june?|july?|aug(?:ust)?|sept?(?:ember)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?)\\.?';
+const WEEKDAY = '(?:mon|tue|wed|thu|fri|sat|sun)[a-z]*\\.?';
+const WEEKDAY_NAME = `(?:(mon|tue|wed|thu|fri|sat|sun)[a-z]*\\.?(?:\\s*(?:-|–|—|&)\\s*${WEEKDAY})?,?\\s+)?`;
+const ORDINAL = '(?:st|nd|rd|th)?';
+const MERIDIEM = '(a\\.?m\\.?|p\\.?m\\.?)';
+
+// "Tuesday, February 04, 2025", "Sat–Sun, Sept 27-28, 2025", "Sep 27 - Oct 2",
+// "September 27th & 28th", "AUGUST 12TH"
+const MONTH_DAY_PATTERN = new RegExp(
+  `\\b${WEEKDAY_NAME}${MONTH_NAME}\\s+(\\d{1,2})${ORDINAL}\\b` +
+  `(?:\\s*(?:-|–|—|&|and|to|through)\\s*(?:${MONTH_NAME}\\s+)?(\\d{1,2})${ORDINAL}\\b(?!\\s*(?::|[ap]\\.?m\\b)))?` +
+  `(?:,?\\s*(\\d{4})\\b)?`,
+  'i'
+);
+
+// "2025-10-04", optionally followed by a time ("2025-10-04 18:00:00", "2025-10-04T18:00")
+const ISO_DATE_PATTERN = /\b(\d{4})-(\d{2})-(\d{2})(?:[T\s](\d{2}):(\d{2}))?/;
+
+// "10/04/2025"
+const NUMERIC_DATE_PATTERN = /\b(\d{1,2})\/(\d{1,2})\/(\d{4})\b/;
+
+// "6:00 pm - 10:00 pm", "10AM-4PM", "6-8 PM", "11:30 to 1 p.m."
+const TIME_RANGE_PATTERN = new RegExp(
+  `\\b(\\d{1,2})(?::(\\d{2}))?\\s*${MERIDIEM}?\\s*(?:-|–|—|to)\\s*(\\d{1,2})(?::(\\d{2}))?\\s*${MERIDIEM}`,
+  'i'
+);
+
+// "6:00 pm", "10AM", "noon"
+const TIME_PATTERN = new RegExp(`\\b(\\d{1,2})(?::(\\d{2}))?\\s*${MERIDIEM}|\\b(noon)\\b`, 'i');
+
+// Returns { ok: true, start, end, allDay, matchedPattern, yearInferred }
+// or { ok: false, error } - never a made-up sentinel date.
+//
+// options are passed to inferYear() for dates without a year:
+//   fetchedAt        when the page was read (defaults to now)
+//   timeZone         the town's timezone, so "this month" matches the town's calendar
+//   lookAheadMonths  see year-inference.js
+export function parseEventDate(dateString, yearOptions = {}) {
+  if (!dateString || !String(dateString).trim()) {
+    return { ok: false, error: 'empty date string' };
   }
-  
-  // Pattern 2: "Sep 11, 2025" or "September 21st 2025"
-  const fullDateMatch = dateString.match(/\b(Jan|Feb|Mar|Apr|May|Jun|Jul|Aug|Sep|Oct|Nov|Dec)[a-z]*\.?\s+(\d{1,2})(?:st|nd|rd|th)?,?\s*(\d{4})\b/i);
-  if (fullDateMatch) {
-    const monthName = fullDateMatch[1];
-    const day = parseInt(fullDateMatch[2]);
-    const year = parseInt(fullDateMatch[3]);
-    
-    const monthMap = {
-      'jan': 0, 'feb': 1, 'mar': 2, 'apr': 3, 'may': 4, 'jun': 5,
-      'jul': 6, 'aug': 7, 'sep': 8, 'oct': 9, 'nov': 10, 'dec': 11
-    };
-    
-    const month = monthMap[monthName.toLowerCase().substring(0, 3)];
-    if (month !== undefined) {
-      const eventDate = new Date(year, month, day);
-      
-      const timeMatch = dateString.match(/(\d{1,2}):(\d{2})\s*(AM|PM)/i);
-      if (timeMatch) {
-        let hours = parseInt(timeMatch[1]);
-        const minutes = parseInt(timeMatch[2]);
-        const ampm = timeMatch[3].toLowerCase();
-        
-        if (ampm === 'pm' && hours !== 12) hours += 12;
-        if (ampm === 'am' && hours === 12) hours = 0;
-        
-        eventDate.setHours(hours, minutes);
+
+  const text = String(dateString).replace(/\s+/g, ' ').trim();
+  const date = matchDate(text, yearOptions);
+
+  if (!date) {
+    return { ok: false, error: `unrecognized date format: "${text.substring(0, 80)}"` };
+  }
+
+  // Times usually follow the date ("Oct 4 @ 6:00 pm") but sometimes lead it
+  const time = date.time ||
+    matchTime(text.slice(date.index + date.length)) ||
+    matchTime(text.slice(0, date.index));
+
+  const start = { ...date.start, hour: 0, minute: 0 };
+  let end = date.end ? { ...date.end, hour: 0, minute: 0 } : null;
+
+  if (time) {
+    start.hour = time.start.hour;
+    start.minute = time.start.minute;
+
+    if (time.end) {
+      end = { ...(end || date.start), hour: time.end.hour, minute: time.end.minute };
+
+      // "10pm - 1am" ends the next day
+      if (!date.end && toMinutes(time.end) <= toMinutes(time.start)) {
+        end = addLocalDays(end, 1);
       }
-      
-      return eventDate;
+    } else if (end) {
+      end = { ...end, hour: time.start.hour, minute: time.start.minute };
     }
   }
-  
-  // Pattern 3: "Tuesday, February 04, 2025" - FIXED VERSION
-  const longDateMatch = dateString.match(/\b(Monday|Tuesday|Wednesday|Thursday|Friday|Saturday|Sunday),?\s+(January|February|March|April|May|June|July|August|September|October|November|December)\s+(\d{1,2}),?\s+(\d{4})\b/i);
-  if (longDateMatch) {
-    const dayOfWeek = longDateMatch[1];
-    const monthName = longDateMatch[2];
-    const day = parseInt(longDateMatch[3]);
-    const year = parseInt(longDateMatch[4]);
-    
-    const monthMap = {
-      'january': 0, 'february': 1, 'march': 2, 'april': 3, 'may': 4, 'june': 5,
-      'july': 6, 'august': 7, 'september': 8, 'october': 9, 'november': 10, 'december': 11
-    };
-    
-    const month = monthMap[monthName.toLowerCase()];
-    if (month !== undefined) {
-      // Create the date with the EXACT year from the string
-      const eventDate = new Date(year, month, day);
-      
-      // Debug: Check if the parsed date matches the expected day of week
-      const dayNames = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
-      const actualDayOfWeek = dayNames[eventDate.getDay()];
-      
-      // If the day of week doesn't match, the date might be wrong
-      if (actualDayOfWeek.toLowerCase() !== dayOfWeek.toLowerCase()) {
-        console.log(`Date mismatch for "${dateString}": Expected ${dayOfWeek}, got ${actualDayOfWeek}`);
-        
-        // For Historical Society events specifically, if Feb 04, 2025 falls on wrong day,
-        // it might be a recurring event - use the next occurrence that matches
-        if (monthName.toLowerCase() === 'february' && day === 4) {
-          // Find the next February 4th that falls on the correct day of week
-          for (let yearOffset = 0; yearOffset <= 2; yearOffset++) {
-            const testDate = new Date(year + yearOffset, month, day);
-            const testDayOfWeek = dayNames[testDate.getDay()];
-            
-            if (testDayOfWeek.toLowerCase() === dayOfWeek.toLowerCase()) {
-              // Extract time if available
-              const timeMatch = dateString.match(/(\d{1,2}):(\d{2})\s*(?:am|pm)/i);
-              if (timeMatch) {
-                let hours = parseInt(timeMatch[1]);
-                const minutes = parseInt(timeMatch[2]);
-                const ampmMatch = dateString.match(/(am|pm)/i);
-                const ampm = ampmMatch ? ampmMatch[1].toLowerCase() : 'pm';
-                
-                if (ampm === 'pm' && hours !== 12) hours += 12;
-                if (ampm === 'am' && hours === 12) hours = 0;
-                
-                testDate.setHours(hours, minutes);
-              }
-              
-              console.log(`Corrected Historical Society date: ${testDate.toDateString()}`);
-              return testDate;
-            }
-          }
-        }
-      }
-      
-      // If date seems correct or we couldn't fix it, use as-is
-      const timeMatch = dateString.match(/(\d{1,2}):(\d{2})\s*(?:am|pm)/i);
-      if (timeMatch) {
-        let hours = parseInt(timeMatch[1]);
-        const minutes = parseInt(timeMatch[2]);
-        const ampmMatch = dateString.match(/(am|pm)/i);
-        const ampm = ampmMatch ? ampmMatch[1].toLowerCase() : 'pm';
-        
-        if (ampm === 'pm' && hours !== 12) hours += 12;
-        if (ampm === 'am' && hours === 12) hours = 0;
-        
-        eventDate.setHours(hours, minutes);
-      }
-      
-      return eventDate;
+
+  return {
+    ok: true,
+    start,
+    end,
+    allDay: !time,
+    matchedPattern: `${date.pattern}${time ? `+${time.pattern}` : ''}`,
+    yearInferred: date.yearInferred,
+    weekdayMismatch: date.weekdayMismatch || false
+  };
+}
+
+// The reverse of parseEventDate() for feeds and structured data that give exact
+// wall-clock values: "August 15, 2025 7:00 PM - 9:00 PM", "September 27 - October 2, 2025".
+// end is optional; allDay drops the times.
+export function formatEventDate(start, end = null, { allDay = false } = {}) {
+  const dayText = local => `${MONTH_NAMES[local.month - 1]} ${local.day}`;
+  const timeText = local => {
+    const hour12 = local.hour % 12 === 0 ? 12 : local.hour % 12;
+    return `${hour12}:${String(local.minute).padStart(2, '0')} ${local.hour < 12 ? 'AM' : 'PM'}`;
+  };
+
+  const sameDay = end && compareDays(start, end) === 0;
+  const spansDays = end && !sameDay && end.year === start.year && compareDays(end, start) > 0;
+  const date = spansDays ? `${dayText(start)} - ${dayText(end)}, ${start.year}` : `${dayText(start)}, ${start.year}`;
+
+  if (allDay) return date;
+  return (sameDay || spansDays) ? `${date} ${timeText(start)} - ${timeText(end)}` : `${date} ${timeText(start)}`;
+}
+
+const MONTH_NAMES = ['January', 'February', 'March', 'April', 'May', 'June', 'July',
+  'August', 'September', 'October', 'November', 'December'];
+
+function matchDate(text, yearOptions) {
+  const iso = text.match(ISO_DATE_PATTERN);
+  if (iso) {
+    const start = { year: parseInt(iso[1]), month: parseInt(iso[2]), day: parseInt(iso[3]) };
+    if (!isValidDay(start)) return null;
+
+    const time = iso[4] !== undefined
+      ? { start: { hour: parseInt(iso[4]), minute: parseInt(iso[5]) }, pattern: 'time-24h' }
+      : null;
+    return { start, end: null, index: iso.index, length: iso[0].length, pattern: 'iso-date', yearInferred: false, time };
+  }
+
+  const monthDay = text.match(MONTH_DAY_PATTERN);
+  if (monthDay) {
+    const [, weekday, monthName, day, endMonthName, endDay, year] = monthDay;
+    const month = monthNumber(monthName);
+    const endMonth = endMonthName ? monthNumber(endMonthName) : month;
+    const yearInferred = !year;
+    // "Dec 30 - Jan 2, 2026": a trailing year belongs to the end, so the start is the year before
+    const crossesYear = !!endDay && endMonth < month;
+    const startYear = year ? parseInt(year) - (crossesYear ? 1 : 0) : inferYear(month, yearOptions);
+
+    const start = { year: startYear, month, day: parseInt(day) };
+    if (!isValidDay(start)) return null;
+
+    let end = null;
+    if (endDay) {
+      // "Dec 30 - Jan 2" rolls into the next year
+      end = { year: crossesYear ? startYear + 1 : startYear, month: endMonth, day: parseInt(endDay) };
+      if (!isValidDay(end) || compareDays(end, start) <= 0) end = null;
     }
+
+    const weekdayMismatch = !!weekday && WEEKDAYS[dayOfWeek(start)].substring(0, 3) !== weekday.toLowerCase();
+
+    return {
+      start,
+      end,
+      index: monthDay.index,
+      length: monthDay[0].length,
+      pattern: `${weekday ? 'weekday-' : ''}month-day${end ? '-range' : ''}${year ? '-year' : ''}`,
+      yearInferred,
+      weekdayMismatch
+    };
   }
-  
-  return new Date('2099-12-31');
+
+  const numeric = text.match(NUMERIC_DATE_PATTERN);
+  if (numeric) {
+    const start = { year: parseInt(numeric[3]), month: parseInt(numeric[1]), day: parseInt(numeric[2]) };
+    if (!isValidDay(start)) return null;
+    return { start, end: null, index: numeric.index, length: numeric[0].length, pattern: 'numeric-date', yearInferred: false };
+  }
+
+  return null;
 }
 
-export function isEventInFuture(dateString) {
-  if (!dateString) return true;
-  
-  const now = new Date();
-  const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
-  const eventDate = parseEventDate(dateString);
-  
-  // Special handling for Historical Society events that might be past
-  if (dateString.includes('February 04, 2025')) {
-    const feb2025 = new Date(2025, 1, 4); // February 4, 2025
-    const isPast = feb2025 < today;
-    
-    if (isPast) {
-      console.log(`Historical Society event "${dateString}" is in the past - filtering out`);
-      return false;
+function matchTime(text) {
+  const range = text.match(TIME_RANGE_PATTERN);
+  if (range) {
+    const [, startHour, startMinute, startMeridiem, endHour, endMinute, endMeridiem] = range;
+    const end = toClock(endHour, endMinute, endMeridiem);
+    let start = toClock(startHour, startMinute, startMeridiem || endMeridiem);
+
+    // "11-1 PM" means 11am to 1pm
+    if (start && end && !startMeridiem && toMinutes(start) > toMinutes(end)) {
+      start = toClock(startHour, startMinute, 'am');
+    }
+
+    if (start && end) {
+      return { start, end, pattern: 'time-range' };
+    }
+  }
+
+  const single = text.match(TIME_PATTERN);
+  if (single) {
+    const start = single[4] ? { hour: 12, minute: 0 } : toClock(single[1], single[2], single[3]);
+    if (start) {
+      return { start, end: null, pattern: 'time' };
     }
   }
-  
-  return eventDate >= today;
+
+  return null;
+}
+
+function toClock(hourText, minuteText, meridiem) {
+  let hour = parseInt(hourText);
+  const minute = minuteText ? parseInt(minuteText) : 0;
+  if (hour > 12 || hour < 1 || minute > 59) return null;
+
+  const isPm = /^p/i.test(meridiem || '');
+  if (isPm && hour !== 12) hour += 12;
+  if (!isPm && hour === 12) hour = 0;
+
+  return { hour, minute };
+}
+
+function monthNumber(name) {
+  return MONTHS[name.toLowerCase().substring(0, 3)];
+}
+
+function isValidDay({ year, month, day }) {
+  return month >= 1 && month <= 12 && day >= 1 && day <= new Date(Date.UTC(year, month, 0)).getUTCDate();
+}
+
+function dayOfWeek({ year, month, day }) {
+  return new Date(Date.UTC(year, month - 1, day)).getUTCDay();
+}
+
+function compareDays(a, b) {
+  return (a.year - b.year) || (a.month - b.month) || (a.day - b.day);
+}
+
+function toMinutes({ hour, minute }) {
+  return hour * 60 + minute;
 }
@@ -0,0 +1,29 @@
+// src/utils/domain-throttle.js - Politeness delays tracked per domain instead of globally
+export function createDomainThrottle({ delayMs = 3000 } = {}) {
+  const nextSlotByDomain = new Map();
+  
+  // Resolves once it's polite to hit this URL's domain again.
+  // Different domains never wait on each other.
+  async function wait(url) {
+    const domain = getDomain(url);
+    if (!domain) return;
+    
+    const now = Date.now();
+    const slot = Math.max(now, nextSlotByDomain.get(domain) || 0);
+    nextSlotByDomain.set(domain, slot + delayMs);
+    
+    if (slot > now) {
+      await new Promise(resolve => setTimeout(resolve, slot - now));
+    }
+  }
+  
+  return { delayMs, wait };
+}
+
+export function getDomain(url) {
+  try {
+    return new URL(url).hostname.replace(/^www\./, '');
+  } catch {
+    return '';
+  }
+}
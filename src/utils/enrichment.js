@@ -0,0 +1,209 @@
+// src/utils/enrichment.js - Optional detail-page pass for sources that only read a listing
+//
+// Listing pages give a title, a date and a link. When enrichment is on, each event's
+// url_raw is opened and the detail page fills in what the listing left out:
+//   description_raw  the page's full description, when longer than the listing's
+//   start_raw        the page's date and time, when it is more exact than the listing's
+//   price, image_url, contact_name, contact_email, contact_phone
+// Visits go through the domain throttle and results are cached by URL, so a daily run
+// only loads pages it hasn't seen recently. Failures leave the listing data as it was.
+import { Actor, log } from 'apify';
+import { canonicalEventUrl, stableHash } from './hash-generator.js';
+import { formatEventDate, parseEventDate } from './date-parser.js';
+import { isUpcoming, normalizeEvent } from './normalize.js';
+import { schemaDate } from './structured-data.js';
+
+export const DEFAULT_DETAIL_CACHE_STORE = 'local-loop-detail-cache';
+export const DEFAULT_MAX_DETAIL_PAGES = 40;
+
+const DEFAULT_CACHE_HOURS = 24;
+const PAGE_TIMEOUT_MS = 20000;
+
+// storeName null keeps the cache in memory for this run only (the CLI)
+export async function createDetailCache({ storeName = DEFAULT_DETAIL_CACHE_STORE, maxAgeHours = DEFAULT_CACHE_HOURS } = {}) {
+  const store = storeName ? await Actor.openKeyValueStore(storeName) : null;
+  const memory = new Map();
+  const maxAgeMs = maxAgeHours * 60 * 60 * 1000;
+
+  return {
+    async get(url) {
+      const key = cacheKey(url);
+      const entry = memory.get(key) ?? (store ? await store.getValue(key) : null);
+      if (!entry || Date.now() - Date.parse(entry.fetched_at) > maxAgeMs) return null;
+      return entry.details;
+    },
+    async set(url, details) {
+      const key = cacheKey(url);
+      const entry = { url, fetched_at: new Date().toISOString(), details };
+      memory.set(key, entry);
+      if (store) await store.setValue(key, entry);
+    }
+  };
+}
+
+// Enriches events in place and returns counts for the run report.
+// options: { cache, throttle, listingUrl, timeZone, maxPages, deadline }
+export async function enrichEvents(page, events, { cache, throttle, listingUrl, timeZone, maxPages = DEFAULT_MAX_DETAIL_PAGES, deadline = Infinity }) {
+  const stats = { fetched: 0, cached: 0, failed: 0, enriched: 0, skipped: 0 };
+  const byUrl = new Map();
+
+  events.forEach(event => {
+    const url = canonicalEventUrl(event.url_raw, listingUrl);
+    // Past events are dropped after this pass - don't spend page visits on them
+    if (!url || !isUpcoming(normalizeEvent({ ...event }, { timeZone }), timeZone)) return;
+    if (!byUrl.has(url)) byUrl.set(url, []);
+    byUrl.get(url).push(event);
+  });
+
+  for (const [url, urlEvents] of byUrl) {
+    let details = await cache.get(url);
+
+    if (details) {
+      stats.cached++;
+    } else if (stats.fetched + stats.failed >= maxPages || Date.now() >= deadline) {
+      stats.skipped++;
+      continue;
+    } else {
+      try {
+        await throttle.wait(url);
+        details = await fetchDetails(page, urlEvents[0].url_raw);
+        await cache.set(url, details);
+        stats.fetched++;
+      } catch (detailError) {
+        log.warning(`⚠️ Detail page ${url} failed: ${detailError.message}`);
+        stats.failed++;
+        continue;
+      }
+    }
+
+    urlEvents.forEach(event => {
+      if (applyDetails(event, details, timeZone)) stats.enriched++;
+    });
+  }
+
+  return stats;
+}
+
+async function fetchDetails(page, url) {
+  const response = await page.goto(url, { waitUntil: 'domcontentloaded', timeout: PAGE_TIMEOUT_MS });
+  if (response && !response.ok()) {
+    throw new Error(`HTTP ${response.status()}`);
+  }
+  return page.evaluate(extractDetails);
+}
+
+// Runs in the browser
+function extractDetails() {
+  const text = element => (element?.innerText || element?.textContent || '').replace(/[ \t]+/g, ' ').trim();
+  const meta = name => document.querySelector(`meta[property="${name}"], meta[name="${name}"]`)?.content?.trim() || '';
+  const first = selectors => selectors.map(selector => document.querySelector(selector)).find(element => text(element));
+
+  const content = [
+    '.tribe-events-single-event-description', '.event-description', '.eventdetail', '.event-detail',
+    '.entry-content', 'article', '[itemprop="description"]', 'main'
+  ]
+    .map(selector => document.querySelector(selector))
+    .find(element => text(element).length > 40);
+  const contentText = text(content);
+
+  // Date/time candidates, most specific first
+  const schedule = [
+    ...Array.from(document.querySelectorAll('time[datetime]')).map(element => element.getAttribute('datetime')),
+    ...['.tribe-events-schedule', '.event-date', '.eventdate', '.event-time', '.dtstart', '.date-time']
+      .map(selector => text(document.querySelector(selector))),
+    ...contentText.split('\n').filter(line => line.length < 120 &&
+      /(jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec)[a-z]*\.?\s+\d{1,2}/i.test(line) &&
+      /\d\s*(?:am|pm|a\.m\.|p\.m\.)/i.test(line))
+  ].filter(Boolean).slice(0, 8);
+
+  const priceElement = first(['.tribe-events-cost', '.event-cost', '.tribe-events-event-cost', '.price']);
+  const priceMatch = contentText.match(/(?:admission|cost|price|tickets?|donation)\s*:?\s*(free|\$\s?\d+(?:\.\d{2})?(?:\s*(?:-|–|to|\/)\s*\$?\s?\d+(?:\.\d{2})?)?[^\n.]{0,40})/i) ||
+    contentText.match(/(\$\s?\d+(?:\.\d{2})?(?:\s*(?:per|a|\/)\s*(?:person|ticket|adult|child))?)/i) ||
+    contentText.match(/\b(free (?:admission|event|and open to the public|to attend))\b/i);
+
+  const mailto = document.querySelector('a[href^="mailto:"]');
+  const tel = document.querySelector('a[href^="tel:"]');
+  const emailMatch = contentText.match(/[\w.+-]+@[\w-]+\.[\w.-]+/);
+  const phoneMatch = contentText.match(/\(?\b\d{3}\)?[\s.-]\d{3}[\s.-]\d{4}\b/);
+  const organizer = first(['.tribe-organizer', '.tribe-events-event-meta .organizer', '.event-organizer', '.organizer']);
+
+  const imageElement = content?.querySelector('img[src]');
+
+  return {
+    description: contentText || meta('og:description') || meta('description'),
+    schedule,
+    price: text(priceElement) || (priceMatch ? priceMatch[1].trim() : ''),
+    image_url: meta('og:image') || imageElement?.src || '',
+    contact_name: text(organizer),
+    contact_email: mailto ? mailto.getAttribute('href').replace(/^mailto:/i, '').split('?')[0] : (emailMatch ? emailMatch[0] : ''),
+    contact_phone: tel ? tel.getAttribute('href').replace(/^tel:/i, '') : (phoneMatch ? phoneMatch[0] : '')
+  };
+}
+
+// Returns true when the event gained anything from the page
+function applyDetails(event, details, timeZone) {
+  let changed = false;
+  const set = (field, value) => {
+    if (value && !event[field]) {
+      event[field] = value;
+      changed = true;
+    }
+  };
+
+  if (details.description && details.description.length > (event.description_raw || '').length) {
+    event.description_raw = details.description;
+    changed = true;
+  }
+
+  const schedule = betterSchedule(event, details.schedule || [], timeZone);
+  if (schedule) {
+    event.listing_start_raw = event.start_raw;
+    event.start_raw = schedule;
+    changed = true;
+  }
+
+  set('price', details.price);
+  set('image_url', details.image_url);
+  set('contact_name', details.contact_name);
+  set('contact_email', details.contact_email);
+  set('contact_phone', details.contact_phone);
+
+  return changed;
+}
+
+// The most exact detail-page date wins when it beats the listing's: the listing didn't
+// parse, or it's the same day and the page adds a clock time, an end time or the year
+function betterSchedule(event, candidates, timeZone) {
+  const yearOptions = { fetchedAt: event.fetched_at ? new Date(event.fetched_at) : new Date(), timeZone };
+  const listing = parseEventDate(event.start_raw, yearOptions);
+  let best = null;
+
+  candidates.map(candidate => localizeInstant(candidate, timeZone)).forEach(candidate => {
+    const detail = parseEventDate(candidate, yearOptions);
+    if (!detail.ok) return;
+    if (listing.ok && !['year', 'month', 'day'].every(part => detail.start[part] === listing.start[part])) return;
+
+    const score = exactness(detail);
+    if ((!listing.ok || score > exactness(listing)) && (!best || score > best.score)) {
+      best = { candidate, score };
+    }
+  });
+
+  return best ? best.candidate : null;
+}
+
+// time[datetime] values are often instants ("2025-10-04T22:00:00+00:00"); the date
+// parser would read their clock time as local, so they're written out on the town's clock
+function localizeInstant(candidate, timeZone) {
+  if (!/^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}.*(?:Z|[+-]\d{2}:?\d{2})$/.test(candidate.trim())) return candidate;
+  const instant = schemaDate(candidate.trim(), timeZone);
+  return instant ? formatEventDate(instant.local) : candidate;
+}
+
+function exactness(parsed) {
+  return (parsed.allDay ? 0 : 4) + (parsed.end ? 2 : 0) + (parsed.yearInferred ? 0 : 1);
+}
+
+function cacheKey(url) {
+  return `detail-${stableHash(url)}`;
+}
@@ -0,0 +1,189 @@
+// src/utils/event-merge.js - Town-level merging of the same event listed by several sources
+//
+// Per-source dedupe can't catch the Chamber re-listing a Fire Dept fundraiser or the
+// Country Fair showing up on the library calendar, because every event_id includes
+// the source. Two events from different sources are treated as one when they fall on the
+// same day, their titles are similar and their venues don't contradict each other.
+import { generateContentHash } from './hash-generator.js';
+import { eventLocalDate } from './normalize.js';
+import { taxonomy } from './taxonomy.js';
+
+const TITLE_SIMILARITY_THRESHOLD = 0.6;
+const MAX_START_DIFFERENCE_MS = 3 * 60 * 60 * 1000;
+
+// Words that say nothing about which event or venue it is (the town's own name is added per call)
+const STOPWORDS = ['the', 'a', 'an', 'and', 'of', 'at', 'for', 'in', 'on', 'with', 'to', 'annual', 'ny'];
+const GENERIC_VENUE_WORDS = new Set(['area', 'st', 'ave', 'rd', 'road', 'street', 'avenue', 'blvd']);
+
+const CONFIDENCE_RANK = { high: 2, medium: 1, none: 0 };
+
+// Details only some sources publish; the canonical copy takes them from whichever listing has them
+const DETAIL_FIELDS = [
+  'room', 'registration_required', 'registration_status', 'registration_url', 'registration_opens',
+  'seats_remaining', 'capacity', 'audience', 'age_group',
+  'price', 'image_url', 'contact_name', 'contact_email', 'contact_phone'
+];
+
+// events should be in manifest order; the first source to list an event wins ties
+// for the canonical copy. Returns { events, merges }.
+export function mergeTownEvents(events, { townName = '' } = {}) {
+  const stopwords = new Set([...STOPWORDS, ...townName.toLowerCase().split(/[^a-z0-9]+/).filter(Boolean)]);
+  const words = text => significantWords(text, stopwords);
+  const groups = [];
+  const groupsByDay = new Map();
+
+  events.forEach(event => {
+    const day = eventLocalDate(event);
+    const candidates = day ? groupsByDay.get(day) || [] : [];
+    // A group holds at most one event per source: an all-day listing elsewhere that
+    // matches two sessions of the same source must not fold them into one
+    const match = candidates.find(group =>
+      !group.some(member => member.source_id === event.source_id) &&
+      group.some(member => isSameEvent(member, event, words)));
+
+    if (match) {
+      match.push(event);
+      return;
+    }
+
+    const group = [event];
+    groups.push(group);
+    if (day) {
+      if (!groupsByDay.has(day)) groupsByDay.set(day, []);
+      groupsByDay.get(day).push(group);
+    }
+  });
+
+  const merges = [];
+  const merged = groups.map(group => {
+    const { canonical, primary } = toCanonical(group);
+
+    if (group.length > 1) {
+      merges.push({
+        title: canonical.title_raw,
+        date: eventLocalDate(canonical),
+        canonical_source: primary.source_id,
+        merged: group.filter(event => event !== primary).map(event => ({
+          source_id: event.source_id,
+          title: event.title_raw,
+          location: event.location_raw,
+          url: event.url_raw,
+          title_similarity: Number(titleSimilarity(words(canonical.title_raw), words(event.title_raw)).toFixed(2))
+        }))
+      });
+    }
+    return canonical;
+  });
+
+  return { events: merged, merges };
+}
+
+function isSameEvent(a, b, words) {
+  if (a.source_id === b.source_id) return false;
+  if (eventLocalDate(a) !== eventLocalDate(b)) return false;
+
+  // Both have clock times and they're hours apart: two different events that day
+  if (!a.all_day && !b.all_day && Math.abs(Date.parse(a.start) - Date.parse(b.start)) > MAX_START_DIFFERENCE_MS) {
+    return false;
+  }
+
+  return titleSimilarity(words(a.title_raw), words(b.title_raw)) >= TITLE_SIMILARITY_THRESHOLD &&
+    venuesCompatible(a, b, words);
+}
+
+// Dice coefficient over significant words, or 1 when one title is contained in the
+// other ("Comedy Night" vs "WIFD Comedy Night Fundraiser")
+function titleSimilarity(wordsA, wordsB) {
+  if (wordsA.size === 0 || wordsB.size === 0) return 0;
+
+  const shared = [...wordsA].filter(word => wordsB.has(word)).length;
+  const smaller = Math.min(wordsA.size, wordsB.size);
+
+  if (shared === smaller && shared >= 2) return 1;
+  return (2 * shared) / (wordsA.size + wordsB.size);
+}
+
+// Venues are compatible unless both are known and differ: registry venues compare by
+// venue_id, anything else by whether the locations share a significant word
+function venuesCompatible(a, b, words) {
+  if (a.venue_id && b.venue_id) return a.venue_id === b.venue_id;
+
+  const wordsA = venueWords(words(a.location_raw));
+  const wordsB = venueWords(words(b.location_raw));
+  if (wordsA.size === 0 || wordsB.size === 0) return true;
+
+  return [...wordsA].some(word => wordsB.has(word));
+}
+
+function venueWords(words) {
+  // Scraper defaults like "West Islip Breast Cancer Coalition Area" don't name a venue
+  if (words.has('area')) return new Set();
+
+  return new Set([...words].filter(word => !GENERIC_VENUE_WORDS.has(word) && !/^\d+$/.test(word)));
+}
+
+function significantWords(text, stopwords) {
+  return new Set(
+    (text || '')
+      .toLowerCase()
+      .replace(/(\d+)(st|nd|rd|th)\b/g, '')
+      .split(/[^a-z0-9]+/)
+      .map(word => word.replace(/s$/, ''))
+      .filter(word => word.length > 1 && !stopwords.has(word))
+  );
+}
+
+// Best-dated copy wins (explicit year, then a clock time); ties go to the earlier source.
+// Identity doesn't follow it: event_id and source_id come from the first source in
+// manifest order, so a listing gaining or losing a time doesn't make a new event.
+function toCanonical(group) {
+  const primary = group.reduce((winner, event) => (rankEvent(event) > rankEvent(winner) ? event : winner));
+
+  const canonical = {
+    ...primary,
+    event_id: group[0].event_id,
+    source_id: group[0].source_id,
+    sources: group.map(event => ({
+      source_id: event.source_id,
+      source: event.source,
+      url_raw: event.url_raw,
+      event_id: event.event_id
+    })),
+    source_urls: [...new Set(group.map(event => event.url_raw).filter(Boolean))]
+  };
+
+  // Fill gaps from the other listings
+  group.forEach(event => {
+    if (!canonical.end && event.end && event.all_day === canonical.all_day) {
+      canonical.end = event.end;
+    }
+    if ((event.description_raw || '').length > (canonical.description_raw || '').length) {
+      canonical.description_raw = event.description_raw;
+    }
+    DETAIL_FIELDS.forEach(field => {
+      if (isMissing(canonical[field]) && !isMissing(event[field])) canonical[field] = event[field];
+    });
+  });
+  canonical.categories = mergeCategories(group);
+  canonical.content_hash = generateContentHash(canonical);
+
+  return { canonical, primary };
+}
+
+// Every source's tags, in taxonomy order. The default only if no member had a specific
+// category - a listing that fell back to it doesn't outvote one that was tagged.
+function mergeCategories(group) {
+  const tags = new Set(group.flatMap(event => event.categories || []));
+  const specific = taxonomy.categories
+    .map(category => category.id)
+    .filter(id => id !== taxonomy.default && tags.has(id));
+  return specific.length > 0 ? specific : [taxonomy.default];
+}
+
+function isMissing(value) {
+  return value === null || value === undefined || value === '' || (Array.isArray(value) && value.length === 0);
+}
+
+function rankEvent(event) {
+  return (CONFIDENCE_RANK[event.date_confidence] || 0) * 10 + (event.all_day ? 0 : 5);
+}
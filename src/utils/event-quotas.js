@@ -0,0 +1,54 @@
+// src/utils/event-quotas.js - Per-source caps and the overall maxEvents limit
+import { sourceKey } from '../towns/registry.js';
+
+// Shared with INPUT_SCHEMA.json (kept in sync by scripts/build-input-schema.js)
+export const DEFAULT_MAX_EVENTS = 500;
+export const MAX_EVENTS_LIMIT = 2000;
+
+// Expects events already filtered and sorted chronologically, so the caps
+// keep the soonest events and drop the furthest-out ones.
+export function applyEventQuotas(events, { maxEvents, perSourceCaps = {} }) {
+  const keptPerSource = {};
+  const truncatedBySourceCap = {};
+  
+  const withinSourceCaps = events.filter(event => {
+    const cap = perSourceCaps[event.source_id];
+    if (cap === undefined || cap === null) return true;
+    
+    keptPerSource[event.source_id] = (keptPerSource[event.source_id] || 0) + 1;
+    if (keptPerSource[event.source_id] <= cap) return true;
+    
+    truncatedBySourceCap[event.source_id] = (truncatedBySourceCap[event.source_id] || 0) + 1;
+    return false;
+  });
+  
+  const limited = withinSourceCaps.slice(0, maxEvents);
+  
+  return {
+    events: limited,
+    truncatedBySourceCap,
+    truncatedByMaxEvents: withinSourceCaps.length - limited.length
+  };
+}
+
+// Input caps may be keyed by source key ("west-islip/library") or bare id ("library");
+// normalise them to source keys for the towns being scraped
+export function resolveSourceCaps(caps, towns) {
+  const resolved = {};
+  
+  Object.entries(caps || {}).forEach(([entry, cap]) => {
+    const limit = parseInt(cap);
+    if (Number.isNaN(limit) || limit < 0) return;
+    
+    towns.forEach(town => {
+      town.sources.forEach(source => {
+        const key = sourceKey(town, source);
+        if (entry === key || entry === source.id) {
+          resolved[key] = limit;
+        }
+      });
+    });
+  });
+  
+  return resolved;
+}
@@ -0,0 +1,166 @@
+// src/utils/events-calendar.js - Source adapter for WordPress sites running The Events Calendar
+//
+// The plugin publishes every event at /wp-json/tribe/events/v1/events with its venue,
+// cost, organizer and categories, so a site running it needs no page scraping - a
+// manifest entry only has to point at the site:
+//
+//   { id, name, url: 'https://example.org/', scrape: scrapeEventsCalendar }
+//
+// Optional manifest fields:
+//   organization  the `source` label on events (defaults to the source name)
+//   categoryHint  prefix for category_hint; the event's own categories follow it
+//   categories    only read these event category slugs (e.g. ['public-event'])
+//
+// When the REST API is switched off or fails, the site's /events/list/ page - or, with
+// categories set, each /events/category/<slug>/list/ page - is read for the JSON-LD and
+// iCal links the plugin also publishes.
+import { log } from 'apify';
+import { formatEventDate } from './date-parser.js';
+import { openSourcePage } from './navigation.js';
+import { fetchJson } from './page-fetch.js';
+import { extractStructuredEvents, plainText } from './structured-data.js';
+import { addDaysToDate, toLocalParts, todayInZone } from './timezone.js';
+
+const API_PATH = 'wp-json/tribe/events/v1/events';
+const LIST_PATH = 'events/list/';
+const PER_PAGE = 50;
+const MAX_PAGES = 20;
+
+export async function scrapeEventsCalendar(page, context) {
+  const { source } = context;
+  const defaults = {
+    source: source.organization || source.name,
+    location: source.organization || source.name,
+    categoryHint: source.categoryHint || ''
+  };
+  log.info(`=== SCRAPING: ${defaults.source} (The Events Calendar) ===`);
+
+  try {
+    // The API is called from the site's own origin
+    await page.goto(source.url, { waitUntil: 'domcontentloaded', timeout: 30000 });
+    const items = await fetchEventsCalendarEvents(page, {
+      baseUrl: source.url,
+      days: context.lookAheadDays,
+      timeZone: context.town.timezone,
+      categories: source.categories,
+      throttle: context.throttle
+    });
+    const events = items.map(item => eventsCalendarToRaw(item, context.town.timezone, defaults)).filter(event => event.title_raw);
+    log.info(`Extracted ${events.length} events from the ${defaults.source} events API`);
+    return events;
+  } catch (apiError) {
+    log.warning(`⚠️ Events Calendar API unavailable (${apiError.message}) - reading the event list page`);
+  }
+
+  const events = [];
+  for (const [index, listUrl] of listPageUrls(source).entries()) {
+    if (context.throttle && index > 0) await context.throttle.wait(listUrl);
+    await openSourcePage(page, listUrl, context);
+    events.push(...await extractStructuredEvents(page, context, defaults));
+  }
+  return events;
+}
+
+// The plugin's list view, or one per category so the fallback keeps the same filter
+function listPageUrls(source) {
+  const categories = source.categories || [];
+  if (categories.length === 0) return [new URL(LIST_PATH, source.url).href];
+  return categories.map(slug => new URL(`events/category/${encodeURIComponent(slug)}/list/`, source.url).href);
+}
+
+// Returns the API's events for the next `days` days (from today in timeZone), following
+// its pagination.
+// options.categories  only events in these category slugs
+// options.throttle    the run's domain throttle; every request after the first waits its turn
+export async function fetchEventsCalendarEvents(page, { baseUrl, days, timeZone, categories = [], throttle = null }) {
+  const startDate = todayInZone(timeZone);
+  const query = new URLSearchParams({
+    start_date: `${startDate} 00:00:00`,
+    end_date: `${addDaysToDate(startDate, days)} 23:59:59`,
+    per_page: String(PER_PAGE)
+  });
+  if (categories.length > 0) query.set('categories', categories.join(','));
+
+  let url = `${new URL(API_PATH, baseUrl).href}?${query}`;
+  const events = [];
+  let pages = 0;
+
+  while (url && pages < MAX_PAGES) {
+    if (throttle && pages > 0) await throttle.wait(url);
+    const body = await fetchJson(page, url);
+    if (!Array.isArray(body?.events)) {
+      throw new Error(`events API returned ${body?.code || typeof body} instead of an event list`);
+    }
+
+    events.push(...body.events);
+    pages++;
+    url = body.next_rest_url || null;
+  }
+
+  if (url) {
+    log.warning(`⚠️ Events Calendar API: stopped after ${MAX_PAGES} pages with more events left - the rest of the window is not read`);
+  }
+
+  log.info(`📡 Events Calendar API: ${events.length} events over ${days} days (${pages} requests)`);
+  return events;
+}
+
+// One API event as a raw event. The category hint is the manifest's prefix followed by
+// the site's own category names ("fire department - public event - fundraiser"), which
+// the taxonomy's hint rules match on.
+export function eventsCalendarToRaw(item, timeZone, defaults) {
+  const allDay = Boolean(item.all_day);
+  const start = eventDate(item.utc_start_date, item.start_date, timeZone, allDay);
+  const end = eventDate(item.utc_end_date, item.end_date, timeZone, allDay);
+  const title = plainText(item.title);
+  const organizer = (Array.isArray(item.organizer) ? item.organizer : [item.organizer]).find(Boolean);
+  const categoryNames = (item.categories || []).map(category => plainText(category.name).toLowerCase()).filter(Boolean);
+
+  return {
+    title_raw: title,
+    description_raw: plainText(item.description) || plainText(item.excerpt) || title,
+    start_raw: start ? formatEventDate(start, end, { allDay }) : '',
+    location_raw: venueText(item.venue) || defaults.location,
+    url_raw: item.url || '',
+    price: costText(item),
+    image_url: item.image?.url || '',
+    contact_name: plainText(organizer?.organizer),
+    contact_email: plainText(organizer?.email),
+    contact_phone: plainText(organizer?.phone),
+    category_hint: [defaults.categoryHint, ...categoryNames].filter(Boolean).join(' - '),
+    source: defaults.source,
+    fetched_at: new Date().toISOString(),
+    detection_method: 'tribe_rest'
+  };
+}
+
+// start_date/end_date are on the event's own clock; the UTC copy is read on the town's,
+// in case the two differ. All-day events keep their calendar days.
+function eventDate(utcValue, localValue, timeZone, allDay) {
+  const match = String(localValue || '').match(/^(\d{4})-(\d{2})-(\d{2})(?: (\d{2}):(\d{2}))?/);
+  if (!match) return null;
+
+  const [year, month, day, hour, minute] = match.slice(1).map(part => Number(part ?? 0));
+  if (allDay || !utcValue) return { year, month, day, hour, minute };
+  return toLocalParts(new Date(`${utcValue.replace(' ', 'T')}Z`), timeZone);
+}
+
+// The venue is an object, or an empty array when the event has none
+function venueText(venue) {
+  if (!venue || Array.isArray(venue)) return '';
+  return [venue.venue, venue.address, venue.city, venue.state || venue.province]
+    .map(plainText)
+    .filter(Boolean)
+    .join(', ');
+}
+
+// `cost` is the site's formatted text ("$25", "$10 – $20", "Free"); cost_details has the numbers
+function costText(item) {
+  const cost = plainText(item.cost);
+  if (cost) return cost;
+
+  const values = item.cost_details?.values || [];
+  if (values.length === 0) return '';
+  const symbol = plainText(item.cost_details.currency_symbol) || '$';
+  return values.every(value => Number(value) === 0) ? 'Free' : values.map(value => `${symbol}${value}`).join(' - ');
+}
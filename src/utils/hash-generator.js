@@ -1,7 +1,75 @@
-// src/utils/hash-generator.js - Generate unique hashes for event deduplication
+// src/utils/hash-generator.js - Event identity and content fingerprints
+//
+// event_id says which event this is and must survive edits on the site: it's built
+// from the source id, the event's own URL (or its title when the source has no
+// per-event page) and the normalized start date - the originally scheduled one when a
+// rain date has moved the event, so the switch is an update rather than a new event.
+// content_hash covers what the event
+// says, so downstream systems can tell an updated event (same id, new hash) from a
+// new one (new id).
 import crypto from 'crypto';
+import { eventLocalDate } from './normalize.js';
 
-export function generateHash(title, date, description, source) {
-  const hashString = `${(title || '').trim()}-${(date || '').trim()}-${(source || '').trim()}-${(description || '').substring(0, 50).trim()}`;
-  return crypto.createHash('md5').update(hashString).digest('hex');
+// Fields whose changes count as an edit to the event
+export const CONTENT_FIELDS = [
+  'title_raw', 'description_raw', 'start', 'end', 'all_day', 'location_raw',
+  'url_raw', 'category_hint', 'rain_date', 'event_status'
+];
+
+const TRACKING_PARAM = /^(utm_|fbclid$|gclid$|mc_cid$|mc_eid$)/;
+
+export function stableHash(...parts) {
+  return crypto.createHash('md5').update(parts.map(part => String(part ?? '')).join('|')).digest('hex');
+}
+
+// options.listingUrl  the page the source scrapes; links back to it don't identify an event
+// options.includeTime tell apart two sessions of the same title on the same day
+export function generateEventId(event, { listingUrl = null, includeTime = false } = {}) {
+  const url = canonicalEventUrl(event.url_raw, listingUrl);
+  const identity = url ? `url:${url}` : `title:${normalizeTitle(event.title_raw)}`;
+  const start = event.original_start ?? event.start;
+  const date = includeTime && start ? start.substring(0, 16) : eventLocalDate({ start }) || 'undated';
+
+  return stableHash(event.source_id, identity, date);
+}
+
+export function generateContentHash(event) {
+  return stableHash(JSON.stringify(CONTENT_FIELDS.map(field => event[field] ?? null)));
+}
+
+// Same event page however it was linked: https, no "www.", no fragment, no tracking
+// parameters, no trailing slash. Returns null for listing pages and unusable links.
+export function canonicalEventUrl(url, listingUrl = null) {
+  const canonical = canonicalizeUrl(url);
+  if (!canonical) return null;
+
+  if (listingUrl && canonical === canonicalizeUrl(listingUrl)) return null;
+  if (new URL(canonical).pathname === '/') return null;
+
+  return canonical;
+}
+
+function canonicalizeUrl(url) {
+  if (!url) return null;
+
+  try {
+    const parsed = new URL(url);
+    if (!/^https?:$/.test(parsed.protocol)) return null;
+
+    parsed.protocol = 'https:';
+    parsed.hostname = parsed.hostname.toLowerCase().replace(/^www\./, '');
+    parsed.hash = '';
+    [...parsed.searchParams.keys()]
+      .filter(key => TRACKING_PARAM.test(key))
+      .forEach(key => parsed.searchParams.delete(key));
+    parsed.searchParams.sort();
+    parsed.pathname = parsed.pathname.replace(/\/+$/, '') || '/';
+    return parsed.href;
+  } catch {
+    return null;
+  }
+}
+
+function normalizeTitle(title) {
+  return (title || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
 }
@@ -0,0 +1,203 @@
+// src/utils/libnet.js - Reads a LibNet library calendar's JSON event feed
+//
+// LibNet calendars (<library>.libnet.info/events) are rendered from /eeventcaldata,
+// which takes a start date and a number of days and answers with a JSON array of
+// events. Long horizons are read in pages of PAGE_DAYS so no single request asks
+// for more than the calendar itself shows at once.
+//
+// Requests are made from inside the page (see page-fetch.js).
+import { log } from 'apify';
+import { formatEventDate } from './date-parser.js';
+import { fetchJson } from './page-fetch.js';
+import { addDaysToDate, todayInZone } from './timezone.js';
+
+export const PAGE_DAYS = 31;
+
+const FEED_PATH = '/eeventcaldata';
+
+// Returns the feed's raw items for the next `days` days (from today in timeZone),
+// de-duplicated by id.
+// options.throttle  domain throttle from the coordinator context; waited on per page
+export async function fetchLibNetEvents(page, { calendarUrl, days, timeZone, throttle = null }) {
+  const origin = new URL(calendarUrl).origin;
+  const startDate = todayInZone(timeZone);
+  const items = new Map();
+  let pages = 0;
+
+  for (let offset = 0; offset < days; offset += PAGE_DAYS) {
+    const url = feedUrl(origin, addDaysToDate(startDate, offset), Math.min(PAGE_DAYS, days - offset));
+    if (throttle && pages > 0) await throttle.wait(url);
+
+    const batch = await fetchJson(page, url);
+    if (!Array.isArray(batch)) {
+      throw new Error(`LibNet feed returned ${typeof batch} instead of an event list`);
+    }
+
+    batch.forEach(item => {
+      const key = item.id ?? `${item.title}|${item.event_start}`;
+      if (!items.has(key)) items.set(key, item);
+    });
+    pages++;
+  }
+
+  log.info(`📡 LibNet feed: ${items.size} events over ${days} days (${pages} requests)`);
+  return [...items.values()];
+}
+
+// The feed's event_start/event_end ("2025-08-15 19:00:00") as a start_raw the date
+// parser reads with its year and time range: "August 15, 2025 7:00 PM - 9:00 PM"
+export function libNetStartRaw(item) {
+  const start = splitFeedDate(item.event_start);
+  if (!start) return '';
+
+  const end = splitFeedDate(item.event_end);
+  const allDay = isTruthy(item.all_day) || !start.timed;
+  return formatEventDate(start, end && (allDay || end.timed) ? end : null, { allDay });
+}
+
+export function libNetEventUrl(item, calendarUrl) {
+  if (item.url) return new URL(item.url, calendarUrl).href;
+  return item.id ? `${new URL(calendarUrl).origin}/event/${item.id}` : calendarUrl;
+}
+
+// Registration, capacity and audience fields for a feed item. The feed's own flags and
+// counts win; the description text fills whatever they leave out.
+export function libNetRegistration(item, calendarUrl) {
+  const text = [libNetText(item.long_description), libNetText(item.description)].join('\n');
+  const fromText = parseRegistrationText(text);
+
+  const requiredFlag = pick(item, 'registration_enabled', 'registration_required', 'reg_enabled', 'registration');
+  const required = requiredFlag !== undefined ? isTruthy(requiredFlag) : fromText.registration_required;
+  // A capacity of 0 means no limit
+  const capacity = toCount(pick(item, 'max_attendees', 'total_seats', 'capacity')) || null;
+  const registered = toCount(pick(item, 'total_registrants', 'registrants', 'seats_taken'));
+  const seatsRemaining = capacity !== null && registered !== null
+    ? Math.max(0, capacity - registered)
+    : fromText.seats_remaining;
+  const waitlist = isTruthy(pick(item, 'waiting_list', 'waitlist', 'waitlist_enabled')) || fromText.waitlist;
+
+  return {
+    registration_required: required,
+    registration_url: required ? registrationUrl(item, calendarUrl) : null,
+    registration_opens_raw: libNetText(pick(item, 'registration_opens', 'registration_open_date', 'reg_start')) || fromText.registration_opens_raw,
+    registration_status: registrationStatus(required, seatsRemaining, waitlist),
+    seats_remaining: required ? seatsRemaining : null,
+    capacity: required ? capacity : null,
+    room: libNetText(pick(item, 'room', 'room_name', 'location_room')) || fromText.room,
+    audience: libNetText(item.ages).split(/\s*,\s*/).filter(Boolean),
+    age_group: fromText.age_group || findAgeGroup(libNetText(item.title))
+  };
+}
+
+// Registration details written out in card or description text ("Registration
+// required", "Registration opens August 1", "5 seats left", "Waitlist", "Community
+// Room", "Ages 3-5"). Fields the text doesn't mention are null.
+export function parseRegistrationText(text) {
+  const value = text || '';
+
+  const seats = value.match(SEATS_LEFT) || value.match(SEATS_LABEL);
+  const waitlist = WAITLIST.test(value);
+  const seatsRemaining = seats ? Number(seats[1]) : (EVENT_FULL.test(value) ? 0 : null);
+  const room = value.match(ROOM_LINE);
+
+  // Seat counts and waitlists only exist for events you sign up for
+  let required = null;
+  if (NO_REGISTRATION.test(value)) required = false;
+  else if (REGISTRATION_REQUIRED.test(value) || seatsRemaining !== null || waitlist) required = true;
+
+  return {
+    registration_required: required,
+    registration_opens_raw: value.match(REGISTRATION_OPENS)?.[1].trim() || '',
+    seats_remaining: seatsRemaining,
+    waitlist,
+    registration_status: registrationStatus(required, seatsRemaining, waitlist),
+    room: room ? room[1].trim() : null,
+    age_group: findAgeGroup(value)
+  };
+}
+
+// Drops the registration lines parseRegistrationText() reads, so they don't repeat
+// in description_raw
+export function stripRegistrationLines(text) {
+  return (text || '')
+    .split('\n')
+    .filter(line => ![REGISTRATION_REQUIRED, NO_REGISTRATION, REGISTRATION_OPENS, SEATS_LEFT, SEATS_LABEL, EVENT_FULL, WAITLIST, ROOM_LINE]
+      .some(pattern => pattern.test(line) && line.trim().length < 80))
+    .join('\n')
+    .trim();
+}
+
+const REGISTRATION_REQUIRED = /registration (?:is )?required|registration required|please register|register (?:online|in person|by phone|at)|\bregister now\b/i;
+const NO_REGISTRATION = /no registration(?: is)? (?:required|needed|necessary)|registration (?:is )?not required|drop[- ]in/i;
+const REGISTRATION_OPENS = /registration (?:begins|opens|starts)(?: on)?:?\s*([^.\n]+)/i;
+const SEATS_LEFT = /(\d+)\s+(?:seats?|spots?|spaces?|openings?)\s+(?:left|remaining|available)/i;
+const SEATS_LABEL = /(?:seats?|spots?|spaces?) (?:left|remaining|available):?\s*(\d+)/i;
+const EVENT_FULL = /\b(?:event|program|class|registration) is full\b|\bno (?:seats|spots|spaces) (?:left|remaining|available)\b|\bsold out\b/i;
+const WAITLIST = /\bwait[- ]?list/i;
+const ROOM_LINE = /^\s*((?:[A-Z][\w'&]*\s+){0,3}(?:Room|Auditorium|Lab|Studio|Gallery|Hall))\s*$/m;
+const AGE_GROUP = /\b((?:ages?|grades?)\s*:?\s*(?:K|Pre-?K|\d{1,2})(?:\s*(?:-|–|to)\s*\d{1,2}|\+|\s+(?:and|&)\s+(?:up|older|over))?)(?![\d])/i;
+
+function findAgeGroup(text) {
+  const match = (text || '').match(AGE_GROUP);
+  return match ? match[1].replace(/\s+/g, ' ').trim() : null;
+}
+
+function registrationStatus(required, seatsRemaining, waitlist) {
+  if (required === false) return 'not_required';
+  if (required === null) return null;
+  if (seatsRemaining === 0) return waitlist ? 'waitlist' : 'full';
+  return 'open';
+}
+
+function registrationUrl(item, calendarUrl) {
+  const external = pick(item, 'registration_url', 'external_registration_url');
+  return external ? new URL(external, calendarUrl).href : libNetEventUrl(item, calendarUrl);
+}
+
+function pick(item, ...fields) {
+  const field = fields.find(name => item[name] !== undefined && item[name] !== null && item[name] !== '');
+  return field ? item[field] : undefined;
+}
+
+function toCount(value) {
+  const count = Number.parseInt(value, 10);
+  return Number.isFinite(count) && count >= 0 ? count : null;
+}
+
+// Feed text fields can hold HTML, and list fields (ages, types) arrays or comma strings
+export function libNetText(value) {
+  if (Array.isArray(value)) return value.map(libNetText).filter(Boolean).join(', ');
+  if (value === null || value === undefined) return '';
+
+  return String(value)
+    .replace(/<br\s*\/?>|<\/p>/gi, '\n')
+    .replace(/<[^>]+>/g, ' ')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&amp;/g, '&')
+    .replace(/&quot;/g, '"')
+    .replace(/&#0?39;|&apos;/g, "'")
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/[ \t]+/g, ' ')
+    .replace(/\s*\n\s*/g, '\n')
+    .trim();
+}
+
+// Feed flags arrive as true, 1, "1" or "true"
+export function isTruthy(value) {
+  return value === true || value === 1 || value === '1' || String(value).toLowerCase() === 'true';
+}
+
+function feedUrl(origin, date, days) {
+  const request = { private: false, date, days, locations: [], ages: [], types: [] };
+  return `${origin}${FEED_PATH}?event_type=0&req=${encodeURIComponent(JSON.stringify(request))}`;
+}
+
+// Midnight stands for "no time given"
+function splitFeedDate(value) {
+  const match = String(value || '').match(/^(\d{4})-(\d{2})-(\d{2})(?:[T\s](\d{2}):(\d{2}))?/);
+  if (!match) return null;
+
+  const [year, month, day, hour, minute] = match.slice(1).map(part => Number(part ?? 0));
+  return { year, month, day, hour, minute, timed: hour !== 0 || minute !== 0 };
+}
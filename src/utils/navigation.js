@@ -0,0 +1,16 @@
+// src/utils/navigation.js - Opens a source page and waits until it's ready
+import { log } from 'apify';
+import { waitForReady } from './readiness.js';
+
+// context: { source, metrics } as passed by the town coordinator to source.scrape()
+export async function openSourcePage(page, url, context, { waitUntil = 'domcontentloaded', timeout = 30000 } = {}) {
+  const response = await page.goto(url, { waitUntil, timeout });
+  
+  const readiness = await waitForReady(page, context.source.ready);
+  
+  context.metrics.readiness = context.metrics.readiness || [];
+  context.metrics.readiness.push({ url, ...readiness });
+  log.info(`⏱️ ${context.source.name} ready in ${readiness.waitedMs}ms${readiness.satisfied ? '' : ' (timed out)'}`);
+  
+  return response;
+}
@@ -0,0 +1,137 @@
+// src/utils/normalize.js - Shared normalization of extracted events
+import { parseEventDate } from './date-parser.js';
+import { localToISO, todayInZone } from './timezone.js';
+
+// Adds the normalized date fields every downstream step relies on:
+//   start / end      ISO 8601 with the town's UTC offset, e.g. "2025-10-04T18:00:00-04:00"
+//                    (end is null when the source gives no end time)
+//   all_day          true when the source gives a date but no time
+//   date_confidence  high (explicit year) | medium (year inferred, or the weekday
+//                    disagrees with the date) | none (unparsed)
+//   date_pattern     which parser pattern matched, or null with date_error set
+//   multi_day        true when the event spans more than one calendar day
+//   rain_date / rain_date_end
+//                    alternate date from rain_date_raw, or null
+//   event_status     scheduled | rain_date - when status_raw says the rain date is in
+//                    effect, start/end move to it and the original date is kept in
+//                    original_start / original_end
+//   registration_opens
+//                    when sign-up opens, from registration_opens_raw, or null; an 'open'
+//                    registration_status becomes 'not_yet_open' until then
+export function normalizeEvent(event, { timeZone }) {
+  const yearOptions = {
+    fetchedAt: event.fetched_at ? new Date(event.fetched_at) : new Date(),
+    timeZone
+  };
+  const parsed = parseEventDate(event.start_raw, yearOptions);
+  
+  event.timezone = timeZone;
+  event.rain_date = null;
+  event.rain_date_end = null;
+  event.event_status = 'scheduled';
+  normalizeRegistration(event, yearOptions);
+  
+  if (!parsed.ok) {
+    event.start = null;
+    event.end = null;
+    event.all_day = false;
+    event.multi_day = false;
+    event.date_confidence = 'none';
+    event.date_pattern = null;
+    event.date_error = parsed.error;
+    return event;
+  }
+  
+  event.start = localToISO(parsed.start, timeZone);
+  event.end = parsed.end ? localToISO(parsed.end, timeZone) : null;
+  event.all_day = parsed.allDay;
+  event.multi_day = !!event.end && event.end.substring(0, 10) !== event.start.substring(0, 10);
+  event.date_confidence = parsed.yearInferred || parsed.weekdayMismatch ? 'medium' : 'high';
+  event.date_pattern = parsed.matchedPattern;
+  
+  const rain = parseRainDate(event.rain_date_raw, parsed, yearOptions);
+  if (rain) {
+    event.rain_date = localToISO(rain.start, timeZone);
+    event.rain_date_end = rain.end ? localToISO(rain.end, timeZone) : null;
+    
+    if (isRainDateInEffect(event.status_raw)) {
+      event.original_start = event.start;
+      event.original_end = event.end;
+      event.start = event.rain_date;
+      event.end = event.rain_date_end;
+      event.multi_day = false;
+      event.event_status = 'rain_date';
+    }
+  }
+  
+  return event;
+}
+
+// Only notices saying the switch has happened count - "will be postponed to the rain
+// date" or "in case of bad weather ..." describe a plan, not today's status. status_raw
+// may hold several sentences; each is judged on its own.
+const RAIN_DATE_IN_EFFECT = /rain\s*date\s+(?:is\s+)?(?:now\s+)?in\s+effect|(?:has|have)\s+been\s+(?:postponed|moved\s+to\s+(?:the\s+)?rain\s*date)|moved\s+to\s+(?:the\s+)?rain\s*date/i;
+const CONDITIONAL_NOTICE = /\b(?:in\s+case\s+of|if|should|will|would|may|might)\b/i;
+
+function isRainDateInEffect(statusRaw) {
+  return (statusRaw || '').split(/[.!\n]/)
+    .some(sentence => RAIN_DATE_IN_EFFECT.test(sentence) && !CONDITIONAL_NOTICE.test(sentence));
+}
+
+// A rain date is a single replacement day that keeps the event's hours; a year-less
+// one belongs to the same season as the main date, not to whatever the fetch date implies
+function parseRainDate(rainDateRaw, main, yearOptions) {
+  if (!rainDateRaw) return null;
+  
+  const rain = parseEventDate(rainDateRaw, yearOptions);
+  if (!rain.ok) return null;
+  
+  const start = { ...rain.start };
+  if (rain.yearInferred) {
+    start.year = main.start.year + (start.month < main.start.month ? 1 : 0);
+  }
+  
+  if (!rain.allDay) {
+    const end = rain.end ? { ...rain.end, year: start.year + (rain.end.year - rain.start.year) } : null;
+    return { start, end };
+  }
+  
+  if (main.allDay) {
+    return { start, end: null };
+  }
+  
+  start.hour = main.start.hour;
+  start.minute = main.start.minute;
+  const end = main.end ? { ...start, hour: main.end.hour, minute: main.end.minute } : null;
+  return { start, end };
+}
+
+function normalizeRegistration(event, yearOptions) {
+  const opens = event.registration_opens_raw ? parseEventDate(event.registration_opens_raw, yearOptions) : null;
+  event.registration_opens = opens?.ok ? localToISO(opens.start, yearOptions.timeZone) : null;
+  
+  if (event.registration_status === 'open' && event.registration_opens &&
+      Date.parse(event.registration_opens) > yearOptions.fetchedAt.getTime()) {
+    event.registration_status = 'not_yet_open';
+  }
+}
+
+// Events without a usable date are kept - dropping them would hide parser gaps
+export function isUpcoming(event, timeZone, now = new Date()) {
+  if (!event.start) return true;
+  
+  const lastDay = (event.end || event.start).substring(0, 10);
+  return lastDay >= todayInZone(timeZone, now);
+}
+
+// Chronological order; undated events sort last
+export function compareEventStart(a, b) {
+  if (!a.start && !b.start) return 0;
+  if (!a.start) return 1;
+  if (!b.start) return -1;
+  return Date.parse(a.start) - Date.parse(b.start);
+}
+
+export function eventLocalDate(event) {
+  return event.start ? event.start.substring(0, 10) : null;
+}
@@ -0,0 +1,21 @@
+// src/utils/page-fetch.js - Feed and API requests made from inside a source's page
+//
+// Requests go through the page's own fetch(), so they carry the site's cookies, are
+// recorded in snapshots and are served from fixtures during replay like any other
+// request the page makes. Non-2xx responses throw.
+
+export async function fetchJson(page, url) {
+  return page.evaluate(async target => {
+    const response = await fetch(target, { headers: { Accept: 'application/json' }, credentials: 'include' });
+    if (!response.ok) throw new Error(`HTTP ${response.status} from ${target}`);
+    return response.json();
+  }, url);
+}
+
+export async function fetchText(page, url) {
+  return page.evaluate(async target => {
+    const response = await fetch(target, { credentials: 'include' });
+    if (!response.ok) throw new Error(`HTTP ${response.status} from ${target}`);
+    return response.text();
+  }, url);
+}
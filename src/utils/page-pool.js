@@ -0,0 +1,75 @@
+// src/utils/page-pool.js - Bounded pool of browser pages for concurrent scraping
+import { log } from 'apify';
+
+export function createPagePool(browser, { size = 3, setupPage = async () => {} } = {}) {
+  const idlePages = [];
+  const waiters = [];
+  let openPages = 0;
+  
+  async function acquire() {
+    if (idlePages.length > 0) {
+      return idlePages.pop();
+    }
+    
+    if (openPages < size) {
+      return openPage();
+    }
+    
+    // Pool exhausted - wait for another task to hand over its page
+    return new Promise((resolve, reject) => waiters.push({ resolve, reject }));
+  }
+  
+  async function openPage() {
+    openPages++;
+    try {
+      const page = await browser.newPage();
+      await setupPage(page);
+      return page;
+    } catch (error) {
+      openPages--;
+      throw error;
+    }
+  }
+  
+  async function release(page) {
+    const waiter = waiters.shift();
+    
+    // A crashed or closed page is replaced rather than handed to the next task
+    if (page.isClosed()) {
+      openPages--;
+      if (!waiter) return;
+      try {
+        waiter.resolve(await openPage());
+      } catch (error) {
+        // The waiter must settle or the coordinator would wait on it forever
+        waiter.reject(error);
+      }
+      return;
+    }
+    
+    if (waiter) {
+      waiter.resolve(page);
+    } else {
+      idlePages.push(page);
+    }
+  }
+  
+  // Run fn(page) with a page from the pool, always returning the page afterwards
+  async function withPage(fn) {
+    const page = await acquire();
+    try {
+      return await fn(page);
+    } finally {
+      await release(page);
+    }
+  }
+  
+  async function close() {
+    const pages = idlePages.splice(0);
+    await Promise.all(pages.map(page => page.close().catch(error => {
+      log.debug(`Failed to close pooled page: ${error.message}`);
+    })));
+  }
+  
+  return { size, withPage, close };
+}
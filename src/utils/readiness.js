@@ -0,0 +1,83 @@
+// src/utils/readiness.js - Bounded "page is ready" conditions declared per source
+//
+// A readiness declaration combines any of these steps, run in this order and
+// all sharing a single timeout:
+//   selector:    CSS selector that must appear
+//   networkIdle: true, or { idleTime } - no network activity for idleTime ms
+//   scroll:      true - scroll to the bottom to trigger lazy loading
+//   stableFor:   ms the page content must stay unchanged
+//   timeout:     overall budget in ms (default 20000)
+import { log } from 'apify';
+
+const DEFAULT_TIMEOUT = 20000;
+const STABLE_POLL_INTERVAL = 250;
+
+export async function waitForReady(page, ready = {}) {
+  const startedAt = Date.now();
+  const deadline = startedAt + (ready.timeout || DEFAULT_TIMEOUT);
+  // Puppeteer reads a timeout of 0 as "wait forever", so a spent budget ends the wait here
+  const remaining = () => {
+    const ms = deadline - Date.now();
+    if (ms <= 0) throw new Error(`readiness timeout of ${ready.timeout || DEFAULT_TIMEOUT}ms reached`);
+    return Math.max(1, ms);
+  };
+  
+  const result = { satisfied: true, waitedMs: 0, timedOutOn: null };
+  
+  try {
+    if (ready.selector) {
+      result.step = 'selector';
+      await page.waitForSelector(ready.selector, { timeout: remaining() });
+    }
+    
+    if (ready.networkIdle) {
+      result.step = 'networkIdle';
+      const idleTime = ready.networkIdle.idleTime || 1000;
+      await page.waitForNetworkIdle({ idleTime, timeout: remaining() });
+    }
+    
+    if (ready.scroll) {
+      result.step = 'scroll';
+      await page.evaluate(() => {
+        window.scrollTo(0, document.body.scrollHeight);
+      });
+    }
+    
+    if (ready.stableFor) {
+      result.step = 'stableFor';
+      await waitForStableContent(page, ready.stableFor, deadline);
+    }
+  } catch (error) {
+    // Not ready in time - extract whatever is there rather than failing the source
+    result.satisfied = false;
+    result.timedOutOn = result.step;
+    log.warning(`⏳ Page not ready (${result.step}) after ${Date.now() - startedAt}ms: ${error.message}`);
+  }
+  
+  delete result.step;
+  result.waitedMs = Date.now() - startedAt;
+  return result;
+}
+
+async function waitForStableContent(page, stableFor, deadline) {
+  let lastFingerprint = null;
+  let unchangedSince = Date.now();
+  
+  while (Date.now() < deadline) {
+    const fingerprint = await page.evaluate(() => {
+      const body = document.body;
+      return body ? `${body.innerText.length}:${body.getElementsByTagName('*').length}` : '';
+    });
+    
+    if (fingerprint !== lastFingerprint) {
+      lastFingerprint = fingerprint;
+      unchangedSince = Date.now();
+    } else if (Date.now() - unchangedSince >= stableFor) {
+      return;
+    }
+    
+    await new Promise(resolve => setTimeout(resolve, STABLE_POLL_INTERVAL));
+  }
+  
+  throw new Error(`content still changing after ${stableFor}ms window`);
+}
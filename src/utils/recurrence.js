@@ -0,0 +1,172 @@
+// src/utils/recurrence.js - Groups repeated listings of the same event into a series
+//
+// "History Center Open" every Saturday or a weekly library program shows up as many
+// separate events. Occurrences from the same source with the same title
+// and venue on at least two different days become one series with an RRULE-style
+// pattern ("FREQ=WEEKLY;BYDAY=SA") and the date of the next occurrence.
+import { generateContentHash, stableHash } from './hash-generator.js';
+import { compareEventStart, eventLocalDate, isUpcoming } from './normalize.js';
+
+// 'series' emits one event per series; 'occurrences' keeps every date but tags it with its series.
+// Irregular series (no rrule) are always left as tagged occurrences - two unrelated
+// "Book Sale" days shouldn't become one row.
+export const RECURRENCE_MODES = ['series', 'occurrences'];
+
+const MIN_OCCURRENCES = 2;
+
+const BYDAY = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const DAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+const ORDINALS = ['1st', '2nd', '3rd', '4th', '5th'];
+
+// Returns { events, series } where series summarizes every group found
+export function detectRecurringEvents(events, { mode = 'series', now = new Date() } = {}) {
+  const groups = new Map();
+
+  events.forEach(event => {
+    if (!event.start) return;
+
+    const key = seriesKey(event);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(event);
+  });
+
+  const seriesByEvent = new Map();
+  const series = [];
+
+  groups.forEach((occurrences, key) => {
+    const dates = [...new Set(occurrences.map(eventLocalDate))].sort();
+    if (dates.length < MIN_OCCURRENCES) return;
+
+    occurrences.sort(compareEventStart);
+    const first = occurrences[0];
+    const next = occurrences.find(event => isUpcoming(event, event.timezone, now));
+    const pattern = detectPattern(dates);
+
+    const info = {
+      series_id: stableHash('series', key),
+      title: first.title_raw,
+      source_id: first.source_id,
+      rrule: pattern.rrule,
+      recurrence: pattern.description,
+      occurrence_count: occurrences.length,
+      first_date: dates[0],
+      last_date: dates[dates.length - 1],
+      next_occurrence: next ? next.start : null
+    };
+
+    series.push(info);
+    occurrences.forEach(event => seriesByEvent.set(event, { info, occurrences, representative: next || first }));
+  });
+
+  if (mode === 'occurrences') {
+    events.forEach(event => {
+      const match = seriesByEvent.get(event);
+      if (match) tagOccurrence(event, match);
+    });
+    return { events, series };
+  }
+
+  // Each series with a pattern takes the place of its next occurrence; the other
+  // occurrences drop out
+  const collapsed = [];
+  events.forEach(event => {
+    const match = seriesByEvent.get(event);
+    if (!match) {
+      collapsed.push(event);
+    } else if (!match.info.rrule) {
+      collapsed.push(tagOccurrence(event, match));
+    } else if (match.representative === event) {
+      collapsed.push(toSeriesEvent(event, match));
+    }
+  });
+
+  return { events: collapsed, series };
+}
+
+function tagOccurrence(event, { info }) {
+  event.series_id = info.series_id;
+  event.rrule = info.rrule;
+  event.next_occurrence = info.next_occurrence;
+  return event;
+}
+
+function toSeriesEvent(event, { info, occurrences }) {
+  const series = {
+    ...event,
+    event_id: info.series_id,
+    series_id: info.series_id,
+    rrule: info.rrule,
+    recurrence: info.recurrence,
+    next_occurrence: info.next_occurrence,
+    occurrence_count: info.occurrence_count,
+    occurrences: occurrences.map(occurrence => ({
+      start: occurrence.start,
+      end: occurrence.end,
+      all_day: occurrence.all_day,
+      url_raw: occurrence.url_raw,
+      event_id: occurrence.event_id,
+      content_hash: occurrence.content_hash
+    }))
+  };
+
+  // The series' start moves forward every week, so it isn't part of the fingerprint
+  series.content_hash = stableHash(generateContentHash({ ...series, start: null, end: null }), info.rrule);
+  return series;
+}
+
+function seriesKey(event) {
+  return [event.timezone, event.source_id || event.source, normalizeText(event.title_raw), normalizeText(event.location_raw)].join('|');
+}
+
+function normalizeText(text) {
+  return (text || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+// dates are sorted, unique "YYYY-MM-DD" strings
+function detectPattern(dates) {
+  const days = dates.map(date => {
+    const [year, month, day] = date.split('-').map(Number);
+    return { year, month, day, dayNumber: Date.UTC(year, month - 1, day) / 86400000 };
+  });
+  const gaps = days.slice(1).map((day, i) => day.dayNumber - days[i].dayNumber);
+  const weekday = new Date(days[0].dayNumber * 86400000).getUTCDay();
+  const sameWeekday = gaps.every(gap => gap % 7 === 0);
+
+  if (gaps.every(gap => gap === 1)) {
+    return { rrule: 'FREQ=DAILY', description: 'Daily' };
+  }
+
+  // "2nd Tuesday of every month": same weekday, same week of the month, consecutive months
+  const nth = Math.ceil(days[0].day / 7);
+  const consecutiveMonths = days.slice(1).every((day, i) => monthIndex(day) - monthIndex(days[i]) === 1);
+
+  if (sameWeekday && consecutiveMonths && nth <= 4 && days.every(day => Math.ceil(day.day / 7) === nth)) {
+    return {
+      rrule: `FREQ=MONTHLY;BYDAY=${nth}${BYDAY[weekday]}`,
+      description: `Monthly on the ${ORDINALS[nth - 1]} ${DAY_NAMES[weekday]}`
+    };
+  }
+
+  if (sameWeekday) {
+    // Skipped weeks (holidays) still read as weekly; a steady 14-day gap is biweekly
+    const interval = gaps.reduce(gcd) / 7;
+    return {
+      rrule: `FREQ=WEEKLY${interval > 1 ? `;INTERVAL=${interval}` : ''};BYDAY=${BYDAY[weekday]}`,
+      description: interval > 1 ? `Every ${interval} weeks on ${DAY_NAMES[weekday]}` : `Weekly on ${DAY_NAMES[weekday]}`
+    };
+  }
+
+  if (consecutiveMonths && days.every(day => day.day === days[0].day)) {
+    return { rrule: `FREQ=MONTHLY;BYMONTHDAY=${days[0].day}`, description: `Monthly on day ${days[0].day}` };
+  }
+
+  return { rrule: null, description: 'Irregular dates' };
+}
+
+function monthIndex({ year, month }) {
+  return year * 12 + month;
+}
+
+function gcd(a, b) {
+  return b === 0 ? a : gcd(b, a % b);
+}
@@ -0,0 +1,126 @@
+// src/utils/replay.js - Offline replay of source pages from saved snapshots
+//
+// A fixture set is an index record plus one record per saved response:
+//
+//   INDEX.json  { "pages": [{ "url": "https://wibcc.org/events", "key": "wibcc-html", "contentType": "text/html" }] }
+//   wibcc-html.html
+//
+// It can live in a local directory (records are files named after their key,
+// with or without an extension) or in an Apify key-value store - which is where
+// snapshot capture writes it, so a captured run can be replayed as-is.
+import { readFile } from 'fs/promises';
+import { join } from 'path';
+import { Actor, log } from 'apify';
+
+export const DEFAULT_INDEX_KEY = 'INDEX';
+
+const EXTENSIONS = {
+  'text/html': '.html',
+  'text/plain': '.txt',
+  'application/json': '.json',
+  'text/calendar': '.ics',
+  'image/png': '.png'
+};
+
+// options: { dir } or { keyValueStore }, plus optional { indexKey }
+export async function loadReplayFixtures({ dir, keyValueStore, indexKey = DEFAULT_INDEX_KEY }) {
+  const readRecord = dir ? createDirectoryReader(dir) : await createStoreReader(keyValueStore);
+  
+  const index = parseIndex(await readRecord(indexKey, 'application/json'));
+  if (!index || !Array.isArray(index.pages)) {
+    throw new Error(`Replay index "${indexKey}" not found in ${dir || `key-value store ${keyValueStore}`}`);
+  }
+  
+  const exact = new Map();
+  const byPath = new Map();
+  
+  for (const entry of index.pages) {
+    const contentType = entry.contentType || 'text/html';
+    const body = await readRecord(entry.key, contentType);
+    if (body === null || body === undefined) {
+      log.warning(`⚠️ Replay record "${entry.key}" for ${entry.url} is missing - skipping`);
+      continue;
+    }
+    
+    const fixture = { url: entry.url, contentType, body: typeof body === 'string' || Buffer.isBuffer(body) ? body : JSON.stringify(body) };
+    exact.set(normalizeUrl(entry.url), fixture);
+    if (!byPath.has(urlPath(entry.url))) byPath.set(urlPath(entry.url), fixture);
+  }
+  
+  log.info(`📼 Loaded ${exact.size} replay fixtures`);
+  
+  return {
+    size: exact.size,
+    // Exact URL first, then the same page with a different query string
+    lookup(url) {
+      return exact.get(normalizeUrl(url)) || byPath.get(urlPath(url)) || null;
+    }
+  };
+}
+
+// Request handler used by preparePage(): serves fixtures and blocks everything else,
+// so a replayed run never touches the network
+export function handleReplayRequest(req, fixtures) {
+  const fixture = fixtures.lookup(req.url());
+  
+  if (fixture) {
+    req.respond({ status: 200, contentType: fixture.contentType, body: fixture.body });
+  } else if (req.resourceType() === 'document') {
+    log.warning(`📼 No replay fixture for ${req.url()}`);
+    req.respond({ status: 404, contentType: 'text/plain', body: `No replay fixture for ${req.url()}` });
+  } else {
+    req.abort('internetdisconnected');
+  }
+}
+
+export function normalizeUrl(url) {
+  try {
+    const parsed = new URL(url);
+    parsed.hash = '';
+    parsed.searchParams.sort();
+    parsed.pathname = parsed.pathname.replace(/\/+$/, '') || '/';
+    return parsed.href;
+  } catch {
+    return url;
+  }
+}
+
+function urlPath(url) {
+  try {
+    const parsed = new URL(url);
+    return `${parsed.host}${parsed.pathname.replace(/\/+$/, '')}`;
+  } catch {
+    return url;
+  }
+}
+
+export function extensionFor(contentType) {
+  return EXTENSIONS[String(contentType).split(';')[0].trim()] || '';
+}
+
+function createDirectoryReader(dir) {
+  return async (key, contentType) => {
+    for (const fileName of [key, `${key}${extensionFor(contentType)}`]) {
+      try {
+        const isText = !String(contentType).startsWith('image/');
+        return await readFile(join(dir, fileName), isText ? 'utf8' : undefined);
+      } catch (error) {
+        if (error.code !== 'ENOENT' && error.code !== 'EISDIR') throw error;
+      }
+    }
+    return null;
+  };
+}
+
+async function createStoreReader(storeName) {
+  const store = await Actor.openKeyValueStore(storeName);
+  return async key => store.getValue(key);
+}
+
+function parseIndex(record) {
+  if (record === null || record === undefined) return null;
+  if (typeof record === 'string' || Buffer.isBuffer(record)) {
+    return JSON.parse(record.toString());
+  }
+  return record;
+}
@@ -0,0 +1,47 @@
+// src/utils/retry.js - Retries with backoff and time budgets for source scrapes
+export class TimeoutError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'TimeoutError';
+  }
+}
+
+// Rejects with TimeoutError if the promise hasn't settled within ms.
+// onTimeout is then started (not awaited) so callers can abort the work, e.g.
+// close the page - a hanging callback can't hold up the rejection.
+export async function withTimeout(promise, ms, { message, onTimeout } = {}) {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => {
+      reject(new TimeoutError(message || `Timed out after ${ms}ms`));
+      if (onTimeout) Promise.resolve().then(onTimeout).catch(() => {});
+    }, ms);
+  });
+  
+  try {
+    return await Promise.race([promise, timeout]);
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+// Calls fn(attempt) until it succeeds or retries run out, waiting
+// baseDelayMs, 2x, 4x ... between attempts. Errors for which
+// shouldRetry(error) is false are rethrown immediately.
+export async function withRetries(fn, { retries = 2, baseDelayMs = 2000, shouldRetry = () => true, onRetry } = {}) {
+  let attempt = 0;
+  
+  while (true) {
+    attempt++;
+    try {
+      return await fn(attempt);
+    } catch (error) {
+      error.attempts = attempt;
+      if (attempt > retries || !shouldRetry(error)) throw error;
+      
+      const delayMs = baseDelayMs * 2 ** (attempt - 1);
+      if (onRetry) onRetry(error, attempt, delayMs);
+      await new Promise(resolve => setTimeout(resolve, delayMs));
+    }
+  }
+}
@@ -0,0 +1,162 @@
+// src/utils/snapshots.js - Saves what a source page looked like, for debugging and replay
+//
+// Each snapshot is stored in the default key-value store under a per-run prefix:
+//   SNAPSHOT-<run>-<town>-<source>-html        final page HTML
+//   SNAPSHOT-<run>-<town>-<source>-text        visible page text
+//   SNAPSHOT-<run>-<town>-<source>-screenshot  full-page PNG
+//   SNAPSHOT-<run>-<town>-<source>-console     browser console output
+//   SNAPSHOT-<run>-<town>-<source>-response-N  JSON/iCal the page fetched (feeds, APIs)
+//   SNAPSHOT-<run>-INDEX                       replay index (see replay.js)
+//
+// The page HTML and every recorded response are listed in the index, so replay serves
+// a source's feed or API calls as well as its page.
+import { Actor, log } from 'apify';
+import { withTimeout } from './retry.js';
+
+export const SNAPSHOT_MODES = ['off', 'failures', 'always'];
+const FAILURE_STATUSES = ['empty', 'failed', 'timed_out'];
+const CAPTURE_TIMEOUT_MS = 5000;
+const MAX_RECORDED_RESPONSES = 20;
+const RECORDED_CONTENT_TYPES = ['application/json', 'text/calendar'];
+
+export function createSnapshotRecorder({ mode = 'failures', runId } = {}) {
+  const prefix = `SNAPSHOT-${sanitizeKey(runId || new Date().toISOString())}`;
+  const indexPages = [];
+  
+  function shouldSave(status) {
+    return mode === 'always' || (mode === 'failures' && FAILURE_STATUSES.includes(status));
+  }
+  
+  async function save(sourceKey, snapshot, status) {
+    const base = `${prefix}-${sanitizeKey(sourceKey)}`;
+    const keys = {
+      html: `${base}-html`,
+      text: `${base}-text`,
+      screenshot: `${base}-screenshot`,
+      console: `${base}-console`
+    };
+    
+    try {
+      await Actor.setValue(keys.html, snapshot.html, { contentType: 'text/html; charset=utf-8' });
+      await Actor.setValue(keys.text, snapshot.text, { contentType: 'text/plain; charset=utf-8' });
+      await Actor.setValue(keys.console, snapshot.console.join('\n'), { contentType: 'text/plain; charset=utf-8' });
+      if (snapshot.screenshot) {
+        await Actor.setValue(keys.screenshot, snapshot.screenshot, { contentType: 'image/png' });
+      }
+      
+      indexPages.push({
+        url: snapshot.url,
+        key: keys.html,
+        contentType: 'text/html',
+        source: sourceKey,
+        status,
+        captured_at: snapshot.captured_at,
+        artifacts: keys
+      });
+      
+      keys.responses = [];
+      for (const [index, response] of (snapshot.responses || []).entries()) {
+        const key = `${base}-response-${index + 1}`;
+        await Actor.setValue(key, response.body, { contentType: `${response.contentType}; charset=utf-8` });
+        keys.responses.push(key);
+        indexPages.push({
+          url: response.url,
+          key,
+          contentType: response.contentType,
+          source: sourceKey,
+          status,
+          captured_at: snapshot.captured_at
+        });
+      }
+      
+      log.info(`📸 Saved ${status} snapshot of ${sourceKey} (${keys.html})`);
+      return keys;
+      
+    } catch (error) {
+      log.warning(`⚠️ Failed to save snapshot of ${sourceKey}: ${error.message}`);
+      return null;
+    }
+  }
+  
+  // Writes the replay index; returns its key, or null when nothing was saved
+  async function writeIndex() {
+    if (indexPages.length === 0) return null;
+    
+    const indexKey = `${prefix}-INDEX`;
+    await Actor.setValue(indexKey, { created_at: new Date().toISOString(), pages: indexPages });
+    log.info(`📸 ${indexPages.length} snapshots saved - replay index: ${indexKey}`);
+    return indexKey;
+  }
+  
+  return { mode, shouldSave, save, writeIndex };
+}
+
+// Starts collecting console messages, page errors and the JSON/iCal responses the page
+// fetches; call the returned function to stop listening and get what was collected
+// so far as { console, responses } (responses are promises - see captureSnapshot)
+export function watchPage(page) {
+  const lines = [];
+  const responses = [];
+  const onConsole = message => lines.push(`[${message.type()}] ${message.text()}`);
+  const onPageError = error => lines.push(`[pageerror] ${error.message}`);
+  const onResponse = response => {
+    const resourceType = response.request().resourceType();
+    const contentType = (response.headers()['content-type'] || '').split(';')[0].trim();
+    if (!['fetch', 'xhr'].includes(resourceType) || !RECORDED_CONTENT_TYPES.includes(contentType)) return;
+    if (!response.ok() || responses.length >= MAX_RECORDED_RESPONSES) return;
+    
+    // Read the body now - it's gone once the page navigates
+    responses.push(response.text()
+      .then(body => ({ url: response.url(), contentType, body }))
+      .catch(() => null));
+  };
+  
+  page.on('console', onConsole);
+  page.on('pageerror', onPageError);
+  page.on('response', onResponse);
+  
+  return () => {
+    page.off('console', onConsole);
+    page.off('pageerror', onPageError);
+    page.off('response', onResponse);
+    return { console: lines, responses };
+  };
+}
+
+// Capped at timeoutMs - the page may be the one that just hung, and whatever was
+// captured by then is returned
+// watched: what watchPage()'s stop function returned
+export async function captureSnapshot(page, { console: consoleLines = [], responses = [] } = {}, { timeoutMs = CAPTURE_TIMEOUT_MS } = {}) {
+  const snapshot = {
+    url: page.url(),
+    html: '',
+    text: '',
+    screenshot: null,
+    console: consoleLines,
+    responses: [],
+    captured_at: new Date().toISOString()
+  };
+  
+  // Each part is best-effort - a half-broken page is exactly what we want to see
+  const capture = (async () => {
+    // Responses first: they're already in the browser, and replay needs them most
+    snapshot.responses = (await Promise.all(responses)).filter(Boolean);
+    snapshot.html = await page.content();
+    snapshot.text = await page.evaluate(() => document.body ? document.body.innerText : '');
+    snapshot.screenshot = await page.screenshot({ fullPage: true, type: 'png' });
+  })();
+  
+  try {
+    await withTimeout(capture, timeoutMs, { message: `snapshot capture exceeded ${timeoutMs}ms` });
+  } catch (error) {
+    capture.catch(() => {});
+    log.debug(`Partial snapshot of ${snapshot.url}: ${error.message}`);
+  }
+  
+  // A copy, so a capture step still running can't change what gets saved
+  return { ...snapshot };
+}
+
+function sanitizeKey(value) {
+  return String(value).replace(/[^a-zA-Z0-9!\-_.'()]/g, '-');
+}
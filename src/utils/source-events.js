@@ -0,0 +1,67 @@
+// src/utils/source-events.js - Shared post-processing of the events a source extracted
+import { generateContentHash, generateEventId } from './hash-generator.js';
+import { isUpcoming, normalizeEvent } from './normalize.js';
+import { classifyEvent } from './taxonomy.js';
+import { resolveVenue } from './venues.js';
+
+// Normalizes, categorizes, places and identifies a source's events, drops past ones and removes
+// duplicates, returning the counts at each step for the run report.
+//
+// options.sourceId    the source key ("west-islip/library"), part of every event_id
+// options.listingUrl  the source's listing page, which doesn't identify any one event
+// options.venues      the town's venue registry
+// options.defaultVenueId venue for events that don't give a location (manifest `venue`)
+export function finalizeSourceEvents(rawEvents, { timeZone, sourceId, listingUrl = null, venues = [], defaultVenueId = null }) {
+  const uniqueEvents = [];
+  const seenIds = new Map();
+  let pastEvents = 0;
+  let duplicates = 0;
+  
+  rawEvents.forEach(event => {
+    normalizeEvent(event, { timeZone });
+    event.source_id = sourceId;
+    event.categories = classifyEvent(event);
+    resolveVenue(event, { venues, defaultVenueId });
+    event.event_id = generateEventId(event, { listingUrl });
+    event.content_hash = generateContentHash(event);
+    
+    if (!isUpcoming(event, timeZone)) {
+      pastEvents++;
+      return;
+    }
+    
+    // Two sessions of the same title on one day share a date-based id - tell them apart by time
+    const sameId = seenIds.get(event.event_id);
+    if (sameId && sameId.start !== event.start) {
+      event.event_id = generateEventId(event, { listingUrl, includeTime: true });
+    }
+    
+    if (seenIds.has(event.event_id)) {
+      duplicates++;
+    } else {
+      seenIds.set(event.event_id, event);
+      uniqueEvents.push(event);
+    }
+  });
+  
+  return {
+    events: uniqueEvents,
+    stats: {
+      raw_count: rawEvents.length,
+      after_past_filter_count: rawEvents.length - pastEvents,
+      past_events_removed: pastEvents,
+      duplicates_removed: duplicates,
+      unparsed_dates: rawEvents.filter(event => event.date_confidence === 'none').length,
+      unresolved_venues: uniqueEvents.filter(event => event.venue_match === 'unresolved').length,
+      extraction_methods: countExtractionMethods(rawEvents)
+    }
+  };
+}
+
+function countExtractionMethods(events) {
+  return events.reduce((acc, event) => {
+    const method = event.detection_method || 'unknown';
+    acc[method] = (acc[method] || 0) + 1;
+    return acc;
+  }, {});
+}
@@ -0,0 +1,277 @@
+// src/utils/structured-data.js - Events a page publishes as data rather than text
+//
+// Many event sites embed schema.org Events as JSON-LD or microdata, or link an iCal
+// (.ics) export. Sources call extractStructuredEvents() right after opening their
+// page and only fall back to their own text heuristics when it finds nothing.
+// Everything is mapped onto the usual raw event fields, with dates written out by
+// formatEventDate() so normalization treats them like any other source's.
+import { log } from 'apify';
+import { formatEventDate } from './date-parser.js';
+import { fetchText } from './page-fetch.js';
+import { addLocalDays, toLocalParts } from './timezone.js';
+
+const MAX_ICAL_FEEDS = 2;
+
+// defaults: { source, location, categoryHint } - used where the data leaves them out
+// Returns raw events with detection_method json_ld | microdata | ical
+export async function extractStructuredEvents(page, context, defaults) {
+  const found = await page.evaluate(findStructuredData);
+  const settings = { timeZone: context.town.timezone, pageUrl: page.url(), listingUrl: context.source.url, defaults };
+
+  let events = [
+    ...found.jsonLd.flatMap(collectEvents).map(item => fromSchemaEvent(item, 'json_ld', settings)),
+    ...found.microdata.map(item => fromSchemaEvent(item, 'microdata', settings))
+  ];
+
+  if (events.length === 0) {
+    for (const feedUrl of found.icalLinks.slice(0, MAX_ICAL_FEEDS)) {
+      try {
+        if (context.throttle) await context.throttle.wait(feedUrl);
+        const text = await fetchText(page, feedUrl);
+        events.push(...parseICalendar(text).map(item => fromICalEvent(item, settings)));
+      } catch (feedError) {
+        log.warning(`⚠️ iCal feed ${feedUrl} failed: ${feedError.message}`);
+      }
+    }
+  }
+
+  events = events.filter(event => event && event.title_raw && event.start_raw);
+  if (events.length > 0) {
+    log.info(`🧩 ${context.source.name}: ${events.length} events from structured data (${events[0].detection_method})`);
+  }
+  return events;
+}
+
+function fromSchemaEvent(item, method, settings) {
+  const start = schemaDate(item.startDate, settings.timeZone);
+  if (!start) return null;
+  const end = schemaDate(item.endDate, settings.timeZone);
+
+  return toRawEvent({
+    title_raw: plainText(item.name),
+    description_raw: plainText(item.description),
+    start_raw: formatEventDate(start.local, end?.local ?? null, { allDay: start.dateOnly }),
+    location_raw: schemaLocation(item.location),
+    url_raw: absoluteUrl(first(item.url), settings.pageUrl),
+    price: schemaPrice(item),
+    image_url: absoluteUrl(schemaImage(item.image), settings.pageUrl),
+    ...schemaContact(first(item.organizer))
+  }, method, settings);
+}
+
+function fromICalEvent(item, settings) {
+  const start = icalDate(item.DTSTART, settings.timeZone);
+  if (!start) return null;
+  let end = icalDate(item.DTEND, settings.timeZone);
+  // DTEND is exclusive for all-day events: a one-day event "ends" the next day
+  if (end && start.dateOnly) end = { ...end, local: addLocalDays(end.local, -1) };
+
+  return toRawEvent({
+    title_raw: icalText(item.SUMMARY),
+    description_raw: icalText(item.DESCRIPTION),
+    start_raw: formatEventDate(start.local, end?.local ?? null, { allDay: start.dateOnly }),
+    location_raw: icalText(item.LOCATION),
+    url_raw: icalText(item.URL)
+  }, 'ical', settings);
+}
+
+// Events without a link of their own get the source's listing URL, which event ids
+// ignore - a shared page or feed URL would make every event on a day look the same
+function toRawEvent(fields, method, { listingUrl, defaults }) {
+  return {
+    ...fields,
+    description_raw: fields.description_raw || fields.title_raw,
+    location_raw: fields.location_raw || defaults.location,
+    url_raw: fields.url_raw || listingUrl,
+    category_hint: defaults.categoryHint,
+    source: defaults.source,
+    fetched_at: new Date().toISOString(),
+    detection_method: method
+  };
+}
+
+// Runs in the browser: JSON-LD blocks as parsed JSON, microdata Events as plain
+// objects shaped like JSON-LD, and links to iCal exports
+function findStructuredData() {
+  const jsonLd = [];
+  document.querySelectorAll('script[type="application/ld+json"]').forEach(script => {
+    try {
+      jsonLd.push(JSON.parse(script.textContent));
+    } catch {
+      // Malformed blocks are common; skip them
+    }
+  });
+
+  const readScope = scope => {
+    const item = { '@type': (scope.getAttribute('itemtype') || '').split('/').pop() };
+    scope.querySelectorAll('[itemprop]').forEach(element => {
+      // Properties of nested items belong to those items
+      const owner = element.parentElement?.closest('[itemscope]');
+      if (owner !== scope) return;
+
+      const name = element.getAttribute('itemprop');
+      const value = element.hasAttribute('itemscope')
+        ? readScope(element)
+        : element.getAttribute('content') || element.getAttribute('datetime') ||
+          element.getAttribute('href') || element.getAttribute('src') || element.textContent.trim();
+      item[name] = item[name] === undefined ? value : [].concat(item[name], value);
+    });
+    return item;
+  };
+
+  const microdata = Array.from(document.querySelectorAll('[itemscope][itemtype]'))
+    .filter(element => /schema\.org\/\w*Event$/i.test(element.getAttribute('itemtype')))
+    .filter(element => !element.parentElement?.closest('[itemscope][itemtype$="Event"]'))
+    .map(readScope);
+
+  const icalLinks = [...new Set(
+    Array.from(document.querySelectorAll('a[href], link[type="text/calendar"]'))
+      .map(element => element.getAttribute('href'))
+      .filter(href => href && (/\.ics(?:$|\?)/i.test(href) || /^webcal:/i.test(href) || /[?&](?:ical|outlook-ical)=1/i.test(href)))
+      .map(href => new URL(href.replace(/^webcal:/i, 'https:'), location.href).href)
+  )];
+
+  return { jsonLd, microdata, icalLinks };
+}
+
+// Event objects anywhere in a JSON-LD document (@graph, arrays, ItemList wrappers)
+function collectEvents(node) {
+  if (Array.isArray(node)) return node.flatMap(collectEvents);
+  if (!node || typeof node !== 'object') return [];
+
+  const types = [].concat(node['@type'] || []);
+  if (types.some(type => /Event$/.test(type))) return [node];
+
+  return [node['@graph'], node.itemListElement, node.item, node.subEvent].flatMap(collectEvents);
+}
+
+// "2025-10-04" (a day), "2025-10-04T18:00" (wall-clock) or an instant with an offset,
+// which is read on the town's clock. Returns { local, dateOnly } or null.
+export function schemaDate(value, timeZone) {
+  const text = String(first(value) || '').trim();
+  const match = text.match(/^(\d{4})-(\d{2})-(\d{2})(?:T(\d{2}):(\d{2})(?::\d{2}(?:\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?)?/);
+  if (!match) return null;
+
+  const [, year, month, day, hour, minute, offset] = match;
+  if (hour === undefined) {
+    return { local: { year: +year, month: +month, day: +day, hour: 0, minute: 0 }, dateOnly: true };
+  }
+  if (offset) {
+    return { local: toLocalParts(new Date(text), timeZone), dateOnly: false };
+  }
+  return { local: { year: +year, month: +month, day: +day, hour: +hour, minute: +minute }, dateOnly: false };
+}
+
+function schemaLocation(location) {
+  const place = first(location);
+  if (!place) return '';
+  if (typeof place === 'string') return plainText(place);
+
+  const address = first(place.address);
+  const addressText = typeof address === 'string'
+    ? address
+    : [address?.streetAddress, address?.addressLocality, address?.addressRegion].filter(Boolean).join(', ');
+  return [plainText(place.name), plainText(addressText)].filter(Boolean).join(', ');
+}
+
+function schemaPrice(item) {
+  const offer = first(item.offers);
+  const price = offer && (offer.price ?? offer.lowPrice);
+  if (price !== undefined && price !== null && price !== '') {
+    const amount = Number(price);
+    if (amount === 0) return 'Free';
+    const symbol = !offer.priceCurrency || offer.priceCurrency === 'USD' ? '$' : `${offer.priceCurrency} `;
+    return Number.isFinite(amount) ? `${symbol}${price}` : plainText(price);
+  }
+  return item.isAccessibleForFree === true || item.isAccessibleForFree === 'True' ? 'Free' : '';
+}
+
+function schemaImage(image) {
+  const value = first(image);
+  return typeof value === 'string' ? value : value?.url || '';
+}
+
+function schemaContact(organizer) {
+  if (!organizer || typeof organizer !== 'object') return {};
+  return {
+    contact_name: plainText(organizer.name),
+    contact_email: String(organizer.email || '').replace(/^mailto:/i, ''),
+    contact_phone: String(organizer.telephone || '')
+  };
+}
+
+// VEVENTs as { NAME: { value, params } } after unfolding continuation lines
+function parseICalendar(text) {
+  const lines = String(text || '').replace(/\r?\n[ \t]/g, '').split(/\r?\n/);
+  const events = [];
+  let current = null;
+
+  lines.forEach(line => {
+    if (line === 'BEGIN:VEVENT') {
+      current = {};
+    } else if (line === 'END:VEVENT') {
+      if (current) events.push(current);
+      current = null;
+    } else if (current) {
+      const colon = line.indexOf(':');
+      if (colon < 0) return;
+      const [name, ...params] = line.substring(0, colon).split(';');
+      current[name.toUpperCase()] = { value: line.substring(colon + 1), params: params.join(';') };
+    }
+  });
+
+  return events;
+}
+
+// DTSTART values: "20251004" (a day), "20251004T180000" (floating or TZID - taken as
+// the town's clock) or "20251004T220000Z" (UTC)
+function icalDate(property, timeZone) {
+  const match = property?.value?.match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})\d{0,2}(Z)?)?$/);
+  if (!match) return null;
+
+  const [, year, month, day, hour, minute, utc] = match;
+  if (hour === undefined) {
+    return { local: { year: +year, month: +month, day: +day, hour: 0, minute: 0 }, dateOnly: true };
+  }
+  if (utc) {
+    return { local: toLocalParts(new Date(Date.UTC(+year, month - 1, +day, +hour, +minute)), timeZone), dateOnly: false };
+  }
+  return { local: { year: +year, month: +month, day: +day, hour: +hour, minute: +minute }, dateOnly: false };
+}
+
+function icalText(property) {
+  return (property?.value || '')
+    .replace(/\\n/gi, '\n')
+    .replace(/\\([,;\\])/g, '$1')
+    .trim();
+}
+
+// HTML fragments and entity-encoded strings (as JSON-LD and WordPress APIs give them)
+// as one line of text
+export function plainText(value) {
+  return String(first(value) ?? '')
+    .replace(/<[^>]+>/g, ' ')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&#(\d+);/g, (entity, code) => String.fromCodePoint(Number(code)))
+    .replace(/&#x([0-9a-f]+);/gi, (entity, code) => String.fromCodePoint(parseInt(code, 16)))
+    .replace(/&apos;/g, "'")
+    .replace(/&quot;/g, '"')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&amp;/g, '&')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+function first(value) {
+  return Array.isArray(value) ? value[0] : value;
+}
+
+function absoluteUrl(url, base) {
+  if (!url) return '';
+  try {
+    return new URL(url, base).href;
+  } catch {
+    return '';
+  }
+}
@@ -0,0 +1,59 @@
+// src/utils/taxonomy.js - Tags events with categories from the shared taxonomy
+//
+// The rules live in src/data/taxonomy.json. Each category matches on:
+//   keywords              whole words/phrases in the title
+//   description_keywords  whole words/phrases in the description
+//   hints                 substrings of the source's own category_hint
+// An event gets every category that matches (in taxonomy order), or the default
+// category when none do. category_hint is left as the source wrote it.
+import { readFileSync } from 'fs';
+
+const TAXONOMY_FILE = new URL('../data/taxonomy.json', import.meta.url);
+
+export const taxonomy = loadTaxonomy(JSON.parse(readFileSync(TAXONOMY_FILE, 'utf8')));
+
+export function classifyEvent(event, rules = taxonomy) {
+  const title = (event.title_raw || '').toLowerCase();
+  const description = (event.description_raw || '').toLowerCase();
+  const hint = (event.category_hint || '').toLowerCase();
+
+  const categories = rules.categories
+    .filter(category =>
+      category.keywords.some(pattern => pattern.test(title)) ||
+      category.description_keywords.some(pattern => pattern.test(description)) ||
+      category.hints.some(text => hint.includes(text))
+    )
+    .map(category => category.id);
+
+  return categories.length > 0 ? categories : [rules.default];
+}
+
+// Compiles keyword lists to word-boundary patterns and catches typos in the file early
+function loadTaxonomy(raw) {
+  if (!raw.default || !Array.isArray(raw.categories)) {
+    throw new Error('taxonomy.json needs "default" and a "categories" array');
+  }
+
+  const ids = new Set();
+  const categories = raw.categories.map(category => {
+    if (!category.id || ids.has(category.id)) {
+      throw new Error(`taxonomy.json: missing or duplicate category id "${category.id}"`);
+    }
+    ids.add(category.id);
+
+    return {
+      id: category.id,
+      label: category.label || category.id,
+      keywords: (category.keywords || []).map(toPattern),
+      description_keywords: (category.description_keywords || []).map(toPattern),
+      hints: (category.hints || []).map(hint => hint.toLowerCase())
+    };
+  });
+
+  return { default: raw.default, categories };
+}
+
+function toPattern(keyword) {
+  const escaped = keyword.toLowerCase().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  return new RegExp(`(?:^|[^a-z0-9])${escaped}(?![a-z0-9])`);
+}
@@ -0,0 +1,75 @@
+// src/utils/timezone.js - Wall-clock times in a town's timezone, independent of the server's
+//
+// "Local" values are plain objects { year, month, day, hour, minute } with month 1-12,
+// describing a time as it reads on a clock in the given IANA timezone.
+
+const formatters = new Map();
+
+function getFormatter(timeZone) {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    }));
+  }
+  return formatters.get(timeZone);
+}
+
+// Wall-clock reading of an instant in the given timezone
+export function toLocalParts(date, timeZone) {
+  const parts = {};
+  getFormatter(timeZone).formatToParts(date).forEach(({ type, value }) => {
+    if (type !== 'literal') parts[type] = parseInt(value);
+  });
+  return { year: parts.year, month: parts.month, day: parts.day, hour: parts.hour, minute: parts.minute };
+}
+
+function offsetMinutesAt(instantMs, timeZone) {
+  const local = toLocalParts(new Date(instantMs), timeZone);
+  const asUtc = Date.UTC(local.year, local.month - 1, local.day, local.hour, local.minute);
+  return Math.round((asUtc - Math.floor(instantMs / 60000) * 60000) / 60000);
+}
+
+// "2025-10-04T18:00:00-04:00" for 6pm on Oct 4 in New York
+export function localToISO(local, timeZone) {
+  const wallMs = Date.UTC(local.year, local.month - 1, local.day, local.hour || 0, local.minute || 0);
+  
+  // Offsets change at DST boundaries, so check it at the corrected instant too
+  let offset = offsetMinutesAt(wallMs, timeZone);
+  offset = offsetMinutesAt(wallMs - offset * 60000, timeZone);
+  
+  const sign = offset < 0 ? '-' : '+';
+  const abs = Math.abs(offset);
+  return `${formatLocalDate(local)}T${pad(local.hour || 0)}:${pad(local.minute || 0)}:00${sign}${pad(Math.floor(abs / 60))}:${pad(abs % 60)}`;
+}
+
+export function formatLocalDate(local) {
+  return `${local.year}-${pad(local.month)}-${pad(local.day)}`;
+}
+
+// The same wall-clock time `days` calendar days later (earlier when negative)
+export function addLocalDays(local, days) {
+  const date = new Date(Date.UTC(local.year, local.month - 1, local.day + days));
+  return { ...local, year: date.getUTCFullYear(), month: date.getUTCMonth() + 1, day: date.getUTCDate() };
+}
+
+// "2025-08-15" + 31 -> "2025-09-15"
+export function addDaysToDate(date, days) {
+  const [year, month, day] = date.split('-').map(Number);
+  return formatLocalDate(addLocalDays({ year, month, day }, days));
+}
+
+// Today's date ("2025-10-04") as seen in the given timezone
+export function todayInZone(timeZone, now = new Date()) {
+  return formatLocalDate(toLocalParts(now, timeZone));
+}
+
+function pad(value) {
+  return String(value).padStart(2, '0');
+}
@@ -0,0 +1,104 @@
+// src/utils/venues.js - Resolves an event's location_raw to a venue from the town registry
+//
+// Sources write the same place many ways ("West Islip Fire Department",
+// "WIFD HQ, 309 Union Blvd"). An event resolves to a venue by, in order:
+//   alias           a venue's name or alias appears in location_raw (longest wins)
+//   address         location_raw has the venue's street number and street name
+//   source_default  no location or only a placeholder, and the source has a home venue
+//                   (manifest `venue`)
+// Otherwise venue_match is 'unresolved' and the structured address fields stay null -
+// a location naming some other place is flagged rather than assumed to be the default.
+const VENUE_FIELDS = ['street_address', 'city', 'state', 'postal_code', 'latitude', 'longitude'];
+
+// Scraper fallbacks like "West Islip Chamber of Commerce Area" say who, not where
+const PLACEHOLDER_LOCATION = /\barea$/i;
+
+// Sets venue_id, venue_name, venue_match and the address fields on the event
+export function resolveVenue(event, { venues = [], defaultVenueId = null } = {}) {
+  const location = (event.location_raw || '').trim();
+  const named = location !== '' && !isPlaceholderLocation(location);
+
+  let match = named ? matchVenue(location, venues) : null;
+  if (!match && !named && defaultVenueId) {
+    const venue = venues.find(candidate => candidate.id === defaultVenueId);
+    if (venue) match = { venue, method: 'source_default' };
+  }
+
+  event.venue_id = match ? match.venue.id : null;
+  event.venue_name = match ? match.venue.name : null;
+  event.venue_match = match ? match.method : 'unresolved';
+  VENUE_FIELDS.forEach(field => {
+    event[field] = match ? venueField(match.venue, field) : null;
+  });
+
+  return event;
+}
+
+function isPlaceholderLocation(location) {
+  return PLACEHOLDER_LOCATION.test((location || '').trim());
+}
+
+// Unresolved locations across all events, most frequent first, for the run report
+export function summarizeUnresolvedLocations(events) {
+  const byLocation = new Map();
+
+  events
+    .filter(event => event.venue_match === 'unresolved')
+    .forEach(event => {
+      const location = event.location_raw || '';
+      if (!byLocation.has(location)) {
+        byLocation.set(location, {
+          location_raw: location || null,
+          placeholder: !location || isPlaceholderLocation(location),
+          count: 0,
+          sources: new Set()
+        });
+      }
+      const entry = byLocation.get(location);
+      entry.count++;
+      entry.sources.add(event.source_id);
+    });
+
+  return [...byLocation.values()]
+    .map(entry => ({ ...entry, sources: [...entry.sources] }))
+    .sort((a, b) => b.count - a.count);
+}
+
+function matchVenue(location, venues) {
+  const text = ` ${normalizeText(location)} `;
+  if (!text.trim()) return null;
+
+  let best = null;
+  venues.forEach(venue => {
+    [venue.name, ...(venue.aliases || [])].forEach(alias => {
+      const normalized = normalizeText(alias);
+      if (normalized && text.includes(` ${normalized} `) && (!best || normalized.length > best.length)) {
+        best = { venue, length: normalized.length };
+      }
+    });
+  });
+  if (best) return { venue: best.venue, method: 'alias' };
+
+  const addresses = addressKeys(location);
+  const byAddress = venues.find(venue => venue.street && addresses.has(addressKey(venue.street)));
+  return byAddress ? { venue: byAddress, method: 'address' } : null;
+}
+
+function venueField(venue, field) {
+  return (field === 'street_address' ? venue.street : venue[field]) ?? null;
+}
+
+// "309 Union Blvd" -> "309 union"; the suffix varies too much (Blvd, Boulevard) to compare
+function addressKey(street) {
+  const [key] = addressKeys(street);
+  return key || null;
+}
+
+function addressKeys(text) {
+  const matches = normalizeText(text).matchAll(/\b(\d+) ([a-z]+)/g);
+  return new Set([...matches].map(([, number, name]) => `${number} ${name}`));
+}
+
+function normalizeText(text) {
+  return (text || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+}
@@ -0,0 +1,44 @@
+// src/utils/year-inference.js - The one place that decides which year a year-less date means
+//
+// Sources often print "October 4" or "AUGUST 12TH" with no year. Rather than each
+// scraper guessing, they pass the date through as-is and this policy picks the year
+// from the fetch date and the event's month:
+//
+//   - months from the fetch month up to LOOKAHEAD_MONTHS ahead are upcoming
+//     (this year, or next year once the calendar wraps past December)
+//   - the remaining months are treated as recently past (this year, or last year
+//     in January), so the past-event filter drops them instead of pushing them
+//     almost a full year into the future
+import { addLocalDays, toLocalParts } from './timezone.js';
+
+export const DEFAULT_LOOKAHEAD_MONTHS = 10;
+
+// Year for a month (1-12) seen on a page fetched at `fetchedAt`, judged in the town's timezone
+export function inferYear(month, { fetchedAt = new Date(), timeZone, lookAheadMonths = DEFAULT_LOOKAHEAD_MONTHS } = {}) {
+  const today = timeZone ? toLocalParts(fetchedAt, timeZone) : {
+    year: fetchedAt.getFullYear(),
+    month: fetchedAt.getMonth() + 1
+  };
+
+  const monthsAhead = (month - today.month + 12) % 12;
+
+  if (monthsAhead < lookAheadMonths) {
+    return month < today.month ? today.year + 1 : today.year;
+  }
+  return month > today.month ? today.year - 1 : today.year;
+}
+
+// Calendar years the look-ahead window touches, for sources that list events by year.
+// lookAheadDays (the run's window) wins over lookAheadMonths when given.
+export function yearsInWindow({ fetchedAt = new Date(), timeZone, lookAheadMonths = DEFAULT_LOOKAHEAD_MONTHS, lookAheadDays = null } = {}) {
+  const today = toLocalParts(fetchedAt, timeZone);
+  const lastYear = lookAheadDays !== null
+    ? addLocalDays(today, lookAheadDays).year
+    : today.year + Math.floor((today.month - 1 + (lookAheadMonths - 1)) / 12);
+
+  const years = [];
+  for (let year = today.year; year <= lastYear; year++) {
+    years.push(year);
+  }
+  return years;
+}